@@ -1,8 +1,26 @@
-import { useCallback, useEffect, useLayoutEffect, useRef, useState } from "react";
+import { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
 import { setOptions, importLibrary } from "@googlemaps/js-api-loader";
 import * as THREE from "three";
 import { useAudio } from "./audio/AudioProvider";
 import { hapticTap } from "./utils/haptics";
+import { clearSavedLayout, loadSavedLayout, saveLayout } from "./utils/layoutStorage";
+import { decodeLayoutHash, encodeLayoutHash } from "./utils/layoutLink";
+import { createCommandHistory } from "./utils/commandHistory";
+import { DEFAULT_ECONOMICS, loadEconomicsConfig, validateEconomics } from "./utils/economics";
+import { FINANCE_HORIZON_YEARS, analyzeInvestment } from "./utils/finance";
+import { toCsv } from "./utils/csv";
+import { CPI_LATEST_YEAR, CPI_YEARS, adjustForInflation, inflationFactor } from "./utils/inflation";
+import {
+  DISCOUNT_RATE_PCT_MAX,
+  DOLLAR_MODES,
+  ESCALATION_MODELS,
+  ESCALATION_PCT_MAX,
+  MIN_DISTANCE_OPTIONS_FT,
+  OVERLAP_POLICIES,
+  PLACEMENT_RULE_IDS,
+  loadSettings,
+  saveSettings,
+} from "./utils/settings";
 
 /** Real Space Needle, Seattle Center (400 Broad St) — single source of truth for map center and default needle. */
 const SEATTLE_CENTER = { lat: 47.6205, lng: -122.3493, altitude: 0 };
@@ -43,6 +61,18 @@ const MOBILE_LABELS = {
   Needles: "Needles",
   "Land Acquired": "Acres",
   "Tourism Revenue": "Revenue/yr",
+  Overlaps: "Overlaps",
+  "Platform cost": "Platform",
+  "Build cost": "Build",
+  "Water body": "Water",
+  "Land vs. old spot": "Δ Land",
+  "Households Displaced": "Homes",
+  "Jobs Displaced": "Jobs",
+  Payback: "Payback",
+  NPV: "NPV",
+  IRR: "IRR",
+  "Today's dollars": "Today",
+  "As built": "As built",
 };
 
 /** Seeded PRNG (mulberry32) for deterministic placeholder env placement. Same seed => same sequence in [0,1). */
@@ -216,28 +246,100 @@ const VIEW_MODE_MOVE_TILT_DEG = 1;
 const VIEW_MODE_MOVE_HEADING_DEG = 2;
 /** Mobile only: keep needle menu open this long so user can read and tap (ms). */
 const MOBILE_MENU_DWELL_MS = 2200;
+/** Undo steps kept for place / move / remove / erase. */
+const HISTORY_LIMIT = 100;
+/** Keyboard placement: arrow-key nudge of the ghost in meters (Shift for the larger step). */
+const KEYBOARD_NUDGE_M = 15;
+const KEYBOARD_NUDGE_FAST_M = 120;
+/** Drag-to-move: pointer travel (px) before a press on a footprint becomes a drag rather than a click. */
+const DRAG_MOVE_THRESHOLD_PX = 8;
+/** "Go to" box: camera flight before the needle drops (ms). */
+const GOTO_FLY_DURATION_MS = 1400;
+/** Inventory list: camera flight to a needle before its menu opens (ms), and the range it stops at. */
+const INVENTORY_FLY_DURATION_MS = 1200;
+const INVENTORY_FLY_RANGE_M = 700;
+/**
+ * Query parameter that turns on operator mode (`?operator`): the Settings panel, with the placement rules, overlap
+ * policy, escalation, finance and economics knobs, is only offered to exhibit operators, never to visitors.
+ */
+const OPERATOR_PARAM = "operator";
+/** Inventory columns: header label and the row field each sorts by. */
+const INVENTORY_COLUMNS = [
+  { key: "number", label: "#" },
+  { key: "neighborhood", label: "Neighborhood" },
+  { key: "land", label: "Land" },
+  { key: "rate", label: "Rate" },
+  { key: "tourism", label: "Tourism/yr" },
+];
 
 // --- Land Value / Build Cost (jokey, deterministic) ---
 // Valuation uses a larger "parcel" than the literal model base (land assembly).
 const NEEDLE_BASE_RADIUS_M = 60;
 const NEEDLE_BASE_AREA_SQFT = Math.PI * NEEDLE_BASE_RADIUS_M ** 2 * 10.7639;
-const NEEDLE_BUILD_COST = 350_000_000;
-/** Projected additional tourism revenue: range 0.6B–1.4B in city (diminishes with distance); outside city <0.5B. */
-const TOURISM_REVENUE_MIN_B = 0.6;
-const TOURISM_REVENUE_MAX_B = 1.4;
-const TOURISM_FLUCTUATION_B = 0.3;
-const TOURISM_OUTSIDE_CITY_MAX_B = 0.5;
-const TOURISM_DISTANCE_DECAY_KM = 12;
-const SOFT_COST_MULT = 1.25;
-const DEFAULT_RATE_PER_SQFT = 900;
+/** Height of the original needle; placements can be built shorter or taller. */
+const ORIGINAL_HEIGHT_FT = 605;
+/** Height variants as a fraction of the original. Model scale and build cost scale with height. */
+const HEIGHT_VARIANTS = [0.75, 1, 1.5];
+/** Needle menu "Rotate" turns a placement by this much. */
+const ROTATE_STEP_DEG = 45;
+/** Editor inputs for the scalar economics fields; tower and zone-rate inputs are generated from TOWER_TYPES / ZONES. */
+const ECONOMICS_EDITOR_FIELDS = [
+  { path: ["softCostMult"], label: "Land soft-cost multiplier", step: 0.05 },
+  { path: ["defaultRatePerSqFt"], label: "Default land rate ($/sqft)", step: 50 },
+  { path: ["neighborhoodBlendM"], label: "Border blend (m)", step: 10 },
+  { path: ["platformCostPerAcre"], label: "Platform cost per acre ($)", step: 1_000_000 },
+  { path: ["tourismMinB"], label: "Tourism min ($B/yr)", step: 0.05 },
+  { path: ["tourismMaxB"], label: "Tourism max ($B/yr)", step: 0.05 },
+  { path: ["tourismFluctuationB"], label: "Tourism fluctuation (±$B)", step: 0.05 },
+  { path: ["tourismOutsideCityMaxB"], label: "Tourism outside city max ($B/yr)", step: 0.05 },
+  { path: ["tourismDistanceDecayKm"], label: "Tourism falloff distance (km)", step: 1 },
+  { path: ["tourismCatchmentM"], label: "Tourism catchment (m)", step: 100 },
+  { path: ["tourismCountPenalty"], label: "Tourism penalty per extra needle", step: 0.01 },
+];
+
+function getPath(obj, path) {
+  return path.reduce((o, key) => o?.[key], obj);
+}
+
+function setPath(obj, [key, ...rest], value) {
+  return { ...obj, [key]: rest.length ? setPath(obj?.[key], rest, value) : value };
+}
+
 const QUANTIZE_GRID = 0.0002;
 
 // --- Land Displaced (visual plaza/podium = ~1 block) — display only, not used for valuation ---
 const SQFT_PER_ACRE = 43560;
+/** Reference parcel for the valuation footprint; each tower type's own parcel comes from the economics config. */
 const NEEDLE_PARCEL_ACRES = 1.75;
 const NEEDLE_PARCEL_SQFT = NEEDLE_PARCEL_ACRES * SQFT_PER_ACRE; // 76,230
 
-/** Point-in-polygon (ray casting east). Polygon = array of [lat, lng]. Cast ray at lat; count crossings to the right of lng. */
+/**
+ * Placeable tower types. Each has its own model and footprint (build cost and parcel come from the economics
+ * config, `towers`); `creditName` is the model's entry in CREDITS. Placements store the key; unknown keys fall
+ * back to the default.
+ */
+const TOWER_TYPES = {
+  "space-needle": {
+    label: "Space Needle",
+    src: GHOST_MODEL_SRC,
+    scale: NEEDLE_SCALE,
+    footprintRadiusM: FOOTPRINT_RADIUS_M,
+    creditName: "Space Needle",
+  },
+  "low-poly": {
+    label: "Low Poly Needle",
+    src: "/models/low_poly_space_needle.glb",
+    scale: NEEDLE_SCALE,
+    footprintRadiusM: 90,
+    creditName: "Low Poly Space Needle",
+  },
+};
+const DEFAULT_TOWER_TYPE = "space-needle";
+
+/**
+ * Point-in-polygon (ray casting east). Polygon = array of [lat, lng]. Cast ray at lat; count crossings to the right of lng.
+ * Plain planar math, so screen points work too ([x, y] pairs, point passed as x, y).
+ */
 function pointInPolygon(lat, lng, polygon) {
   const n = polygon.length;
   if (n < 3) return false;
@@ -253,13 +355,14 @@ function pointInPolygon(lat, lng, polygon) {
   return inside;
 }
 
-/** Seattle neighborhood boundaries (GeoJSON). Land inside any neighborhood = crunch. Source: seattleio/seattle-boundaries-data. */
-const SEATTLE_NEIGHBORHOODS_GEOJSON_URL =
-  "https://raw.githubusercontent.com/seattleio/seattle-boundaries-data/master/data/neighborhoods.geojson";
-
-/** Cached list of neighborhood polygons for point-in-polygon. Each polygon = array of [lat, lng] (from GeoJSON [lng, lat]). */
-let seattleNeighborhoodPolygons = null;
+/**
+ * Seattle-area neighborhood boundaries (GeoJSON), bundled so the exhibit works offline. Land inside any neighborhood =
+ * crunch. Source: seattleio/seattle-boundaries-data neighborhoods.geojson, outer rings simplified to ~2 m and
+ * properties trimmed to name / nhood / city.
+ */
+const SEATTLE_NEIGHBORHOODS_GEOJSON_URL = "/data/seattle-neighborhoods.geojson";
 
+/** Polygons as arrays of [lat, lng] (from GeoJSON [lng, lat]); outer rings only. */
 function extractPolygonsFromGeoJSON(featureCollection) {
   if (!featureCollection?.features?.length) return [];
   const polygons = [];
@@ -278,9 +381,74 @@ function extractPolygonsFromGeoJSON(featureCollection) {
   return polygons;
 }
 
+/** Cached neighborhood features for land/water and valuation: { name, district, rings, bbox }. Null until loaded. */
+let seattleNeighborhoodFeatures = null;
+/** Bounding-box grid over seattleNeighborhoodFeatures: "row,col" → features whose bbox touches that cell. */
+let seattleNeighborhoodIndex = null;
+/** Grid cell size in degrees (~2 km); a point test visits a handful of polygons instead of all of them. */
+const NEIGHBORHOOD_GRID_DEG = 0.02;
+
+function extractNeighborhoodFeatures(featureCollection) {
+  if (!featureCollection?.features?.length) return [];
+  const features = [];
+  for (const f of featureCollection.features) {
+    const rings = extractPolygonsFromGeoJSON({ features: [f] });
+    if (rings.length === 0) continue;
+    const bbox = { latMin: Infinity, latMax: -Infinity, lngMin: Infinity, lngMax: -Infinity };
+    for (const ring of rings) {
+      for (const [lat, lng] of ring) {
+        bbox.latMin = Math.min(bbox.latMin, lat);
+        bbox.latMax = Math.max(bbox.latMax, lat);
+        bbox.lngMin = Math.min(bbox.lngMin, lng);
+        bbox.lngMax = Math.max(bbox.lngMax, lng);
+      }
+    }
+    const props = f.properties ?? {};
+    features.push({ name: props.name ?? props.nhood ?? "Seattle", district: props.nhood ?? null, rings, bbox });
+  }
+  return features;
+}
+
+function gridCell(deg) {
+  return Math.floor(deg / NEIGHBORHOOD_GRID_DEG);
+}
+
+function buildNeighborhoodIndex(features) {
+  const cells = new Map();
+  for (const f of features) {
+    for (let row = gridCell(f.bbox.latMin); row <= gridCell(f.bbox.latMax); row++) {
+      for (let col = gridCell(f.bbox.lngMin); col <= gridCell(f.bbox.lngMax); col++) {
+        const key = `${row},${col}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(f);
+      }
+    }
+  }
+  return cells;
+}
+
+/** Features whose grid cells cover the point (or the padded box around it, in degrees). May include near misses. */
+function neighborhoodsNear(lat, lng, padLat = 0, padLng = 0) {
+  if (!seattleNeighborhoodIndex) return [];
+  const found = new Set();
+  for (let row = gridCell(lat - padLat); row <= gridCell(lat + padLat); row++) {
+    for (let col = gridCell(lng - padLng); col <= gridCell(lng + padLng); col++) {
+      for (const f of seattleNeighborhoodIndex.get(`${row},${col}`) ?? []) found.add(f);
+    }
+  }
+  return [...found];
+}
+
+function neighborhoodAt(lat, lng) {
+  return (
+    neighborhoodsNear(lat, lng).find(
+      (f) => bboxContains(f.bbox, lat, lng) && f.rings.some((ring) => pointInPolygon(lat, lng, ring))
+    ) ?? null
+  );
+}
+
 function isInSeattleNeighborhood(lat, lng) {
-  if (!seattleNeighborhoodPolygons?.length) return false;
-  return seattleNeighborhoodPolygons.some((poly) => pointInPolygon(lat, lng, poly));
+  return neighborhoodAt(lat, lng) !== null;
 }
 
 /** Water bounds (axis-aligned). Used only for points NOT inside a Seattle neighborhood; follows that land = neighborhoods. */
@@ -305,6 +473,38 @@ function isWaterPlacement(lat, lng, elevation) {
   return false;
 }
 
+/**
+ * Water test for pricing. The water bounds are generous and rely on neighborhood polygons to carve out land, so until
+ * those have loaded only a sea-level elevation reading counts as water (otherwise downtown would price as a lake).
+ */
+function isWaterForPricing(lat, lng, elevation) {
+  if (!seattleNeighborhoodFeatures?.length) return elevation !== null && typeof elevation === "number" && elevation <= 1;
+  return isWaterPlacement(lat, lng, elevation);
+}
+
+/**
+ * Floating platforms: a needle on water buys no land. It stands on a pontoon deck sized to its parcel, priced per
+ * acre (economics `platformCostPerAcre`) and scaled by how hard the water body is to build in (depth, salt water, shipping traffic).
+ * Keys match getWaterProximity's waterType; "open_water" covers water outside those boxes.
+ */
+const WATER_BODIES = {
+  puget_sound: { label: "Elliott Bay / Puget Sound", costFactor: 1.9 },
+  lake_washington: { label: "Lake Washington", costFactor: 1.6 },
+  lake_union: { label: "Lake Union", costFactor: 1 },
+  open_water: { label: "Open water", costFactor: 1.5 },
+};
+/** Pontoon deck drawn under water platforms: radius as a fraction of the footprint, deck height above the water. */
+const PLATFORM_DECK = {
+  radiusFraction: 0.55,
+  heightM: 4,
+  fillColor: "rgba(72, 84, 96, 0.9)",
+  strokeColor: "rgba(13, 43, 79, 1)",
+};
+
+function waterBodyOf(key) {
+  return WATER_BODIES[key] ?? WATER_BODIES.open_water;
+}
+
 /** UW campus and Husky Stadium (dog-bark drop sound); includes full stadium to the east. */
 const UW_CAMPUS_BOUNDS = {
   latMin: 47.6498,
@@ -433,21 +633,33 @@ function isInsideCityLimits(lat, lng) {
   );
 }
 
+/** Region a shared layout link may place needles or the camera in (greater Seattle); anything outside is refused. */
+const SHARE_LINK_BOUNDS = {
+  latMin: 47.3,
+  latMax: 47.9,
+  lngMin: -122.7,
+  lngMax: -121.9,
+};
+
+/**
+ * Named zones: fallback valuation circles (until neighborhood boundaries load; rates are the economics config's
+ * `zoneRates`) and the housing-unit / job densities (per gross acre) behind the displacement estimate.
+ */
 const ZONES = [
-  { id: "downtown", name: "Downtown", center: { lat: 47.6097, lng: -122.3331 }, radiusM: 650, ratePerSqFt: 2800 },
-  { id: "slu", name: "South Lake Union", center: { lat: 47.6279, lng: -122.3372 }, radiusM: 520, ratePerSqFt: 2200 },
-  { id: "belltown", name: "Belltown", center: { lat: 47.6163, lng: -122.3456 }, radiusM: 480, ratePerSqFt: 2500 },
-  { id: "queen-anne", name: "Queen Anne", center: { lat: 47.6354, lng: -122.3570 }, radiusM: 600, ratePerSqFt: 1700 },
-  { id: "capitol-hill", name: "Capitol Hill", center: { lat: 47.6252, lng: -122.3212 }, radiusM: 580, ratePerSqFt: 1800 },
-  { id: "ballard", name: "Ballard", center: { lat: 47.6684, lng: -122.3846 }, radiusM: 550, ratePerSqFt: 1200 },
-  { id: "fremont", name: "Fremont", center: { lat: 47.6513, lng: -122.3507 }, radiusM: 400, ratePerSqFt: 1100 },
-  { id: "udistrict", name: "U District", center: { lat: 47.6605, lng: -122.3140 }, radiusM: 500, ratePerSqFt: 1000 },
-  { id: "magnolia", name: "Magnolia", center: { lat: 47.6397, lng: -122.3992 }, radiusM: 600, ratePerSqFt: 1100 },
-  { id: "west-seattle", name: "West Seattle", center: { lat: 47.5652, lng: -122.3868 }, radiusM: 700, ratePerSqFt: 800 },
-  { id: "beacon-hill", name: "Beacon Hill", center: { lat: 47.5805, lng: -122.3102 }, radiusM: 500, ratePerSqFt: 700 },
-  { id: "rainier-valley", name: "Rainier Valley", center: { lat: 47.5575, lng: -122.2845 }, radiusM: 600, ratePerSqFt: 600 },
-  { id: "seattle-center", name: "Seattle Center", center: { lat: 47.6205, lng: -122.3493 }, radiusM: 400, ratePerSqFt: 2000 },
-  { id: "first-hill", name: "First Hill", center: { lat: 47.6102, lng: -122.3258 }, radiusM: 380, ratePerSqFt: 1900 },
+  { id: "downtown", name: "Downtown", center: { lat: 47.6097, lng: -122.3331 }, radiusM: 650, housingUnitsPerAcre: 60, jobsPerAcre: 250 },
+  { id: "slu", name: "South Lake Union", center: { lat: 47.6279, lng: -122.3372 }, radiusM: 520, housingUnitsPerAcre: 45, jobsPerAcre: 180 },
+  { id: "belltown", name: "Belltown", center: { lat: 47.6163, lng: -122.3456 }, radiusM: 480, housingUnitsPerAcre: 80, jobsPerAcre: 60 },
+  { id: "queen-anne", name: "Queen Anne", center: { lat: 47.6354, lng: -122.3570 }, radiusM: 600, housingUnitsPerAcre: 20, jobsPerAcre: 8 },
+  { id: "capitol-hill", name: "Capitol Hill", center: { lat: 47.6252, lng: -122.3212 }, radiusM: 580, housingUnitsPerAcre: 40, jobsPerAcre: 20 },
+  { id: "ballard", name: "Ballard", center: { lat: 47.6684, lng: -122.3846 }, radiusM: 550, housingUnitsPerAcre: 25, jobsPerAcre: 15 },
+  { id: "fremont", name: "Fremont", center: { lat: 47.6513, lng: -122.3507 }, radiusM: 400, housingUnitsPerAcre: 20, jobsPerAcre: 25 },
+  { id: "udistrict", name: "U District", center: { lat: 47.6605, lng: -122.3140 }, radiusM: 500, housingUnitsPerAcre: 35, jobsPerAcre: 30 },
+  { id: "magnolia", name: "Magnolia", center: { lat: 47.6397, lng: -122.3992 }, radiusM: 600, housingUnitsPerAcre: 8, jobsPerAcre: 3 },
+  { id: "west-seattle", name: "West Seattle", center: { lat: 47.5652, lng: -122.3868 }, radiusM: 700, housingUnitsPerAcre: 10, jobsPerAcre: 5 },
+  { id: "beacon-hill", name: "Beacon Hill", center: { lat: 47.5805, lng: -122.3102 }, radiusM: 500, housingUnitsPerAcre: 10, jobsPerAcre: 5 },
+  { id: "rainier-valley", name: "Rainier Valley", center: { lat: 47.5575, lng: -122.2845 }, radiusM: 600, housingUnitsPerAcre: 12, jobsPerAcre: 6 },
+  { id: "seattle-center", name: "Seattle Center", center: { lat: 47.6205, lng: -122.3493 }, radiusM: 400, housingUnitsPerAcre: 10, jobsPerAcre: 30 },
+  { id: "first-hill", name: "First Hill", center: { lat: 47.6102, lng: -122.3258 }, radiusM: 380, housingUnitsPerAcre: 50, jobsPerAcre: 70 },
 ];
 
 // Calibration hack for MVP: pointer-to-lat/lng without projection API. 1:1 so footprint tracks cursor.
@@ -596,6 +808,64 @@ function distanceMeters(a, b) {
   return 2 * R * Math.asin(Math.sqrt(x));
 }
 
+/** Shift a lat/lng by meters north/east (flat-earth approximation; fine for keyboard nudges). */
+function offsetLatLngMeters(at, northM, eastM) {
+  const lat = at.lat + northM / 111320;
+  const lng = at.lng + eastM / (111320 * Math.cos((at.lat * Math.PI) / 180));
+  return { lat, lng };
+}
+
+/** Average position of a group of needles (lat/lng mean; groups span a few km at most). */
+function layoutCentroid(list) {
+  const lat = list.reduce((sum, p) => sum + p.lat, 0) / list.length;
+  const lng = list.reduce((sum, p) => sum + p.lng, 0) / list.length;
+  return { lat, lng };
+}
+
+/** `at` turned clockwise by `deg` around `center`, as seen from above. */
+function rotateAboutPoint(at, center, deg) {
+  const northM = (at.lat - center.lat) * 111320;
+  const eastM = (at.lng - center.lng) * 111320 * Math.cos((center.lat * Math.PI) / 180);
+  const h = (deg * Math.PI) / 180;
+  return offsetLatLngMeters(center, northM * Math.cos(h) - eastM * Math.sin(h), eastM * Math.cos(h) + northM * Math.sin(h));
+}
+
+/** Pattern tool shapes (value → label) and the most needles one batch may place. */
+const PATTERN_SHAPES = { ring: "Ring around #1", line: "Line", grid: "Grid" };
+const PATTERN_MAX_COUNT = 60;
+
+/**
+ * Points for the pattern tool. Ring: `count` needles evenly around the original, neighbours `spacingM` apart,
+ * starting at `bearingDeg`. Line: centered on `center`, running along `bearingDeg`. Grid: near-square, centered
+ * on `center`, rows along `bearingDeg`.
+ */
+function generatePatternPoints({ shape, center, count, spacingM, bearingDeg }) {
+  const n = Math.max(1, Math.min(PATTERN_MAX_COUNT, Math.floor(count) || 1));
+  const h = (bearingDeg * Math.PI) / 180;
+  const along = (origin, forwardM, rightM) =>
+    offsetLatLngMeters(
+      origin,
+      forwardM * Math.cos(h) - rightM * Math.sin(h),
+      forwardM * Math.sin(h) + rightM * Math.cos(h)
+    );
+  if (shape === "ring") {
+    const radius = n === 1 ? spacingM : spacingM / (2 * Math.sin(Math.PI / n));
+    return Array.from({ length: n }, (_, i) => {
+      const a = h + (2 * Math.PI * i) / n;
+      return offsetLatLngMeters(ORIGINAL_NEEDLE_POSITION, radius * Math.cos(a), radius * Math.sin(a));
+    });
+  }
+  if (!center) return [];
+  if (shape === "line") {
+    return Array.from({ length: n }, (_, i) => along(center, (i - (n - 1) / 2) * spacingM, 0));
+  }
+  const cols = Math.ceil(Math.sqrt(n));
+  const rows = Math.ceil(n / cols);
+  return Array.from({ length: n }, (_, i) =>
+    along(center, ((i % cols) - (cols - 1) / 2) * spacingM, (Math.floor(i / cols) - (rows - 1) / 2) * spacingM)
+  );
+}
+
 /** Deterministic seed from quantized lat/lng to avoid flicker. */
 function seedFromQuantizedLatLng(lat, lng) {
   const qLat = Math.round(lat / QUANTIZE_GRID) * QUANTIZE_GRID;
@@ -615,57 +885,125 @@ function seededRandom(seed) {
 }
 
 /**
- * Projected additional tourism revenue for a needle at (lat, lng).
- * Inside city: 0.6B–1.4B range, ±~0.3 fluctuation, diminished by distance from original Space Needle.
- * Outside city: below 0.5B, continues fluctuating. Returns dollars.
+ * Projected additional tourism revenue for a needle at (lat, lng), under `economics`.
+ * Inside city: tourismMinB–tourismMaxB range (0.6B–1.4B by default), ±~0.3 fluctuation, diminished by distance from
+ * original Space Needle. Outside city: below tourismOutsideCityMaxB, continues fluctuating. Returns dollars.
  */
-function computeTourismRevenue(lat, lng) {
+function computeTourismRevenue(economics, lat, lng) {
+  const { tourismMinB, tourismMaxB, tourismFluctuationB, tourismOutsideCityMaxB, tourismDistanceDecayKm } = economics;
   const distM = distanceMeters({ lat, lng }, ORIGINAL_NEEDLE_POSITION);
   const distKm = distM / 1000;
-  const distanceFactor = Math.max(0.2, 1 - distKm / TOURISM_DISTANCE_DECAY_KM);
+  const distanceFactor = Math.max(0.2, 1 - distKm / tourismDistanceDecayKm);
   const seed = seedFromQuantizedLatLng(lat, lng);
   const rng = seededRandom(seed);
   const insideCity = isInsideCityLimits(lat, lng);
   let valueB;
   if (insideCity) {
-    const base = TOURISM_REVENUE_MIN_B + rng() * (TOURISM_REVENUE_MAX_B - TOURISM_REVENUE_MIN_B);
-    const fluct = (rng() - 0.5) * 2 * TOURISM_FLUCTUATION_B;
+    const base = tourismMinB + rng() * (tourismMaxB - tourismMinB);
+    const fluct = (rng() - 0.5) * 2 * tourismFluctuationB;
     valueB = (base + fluct) * distanceFactor;
-    valueB = Math.max(0.3, Math.min(TOURISM_REVENUE_MAX_B, valueB));
+    valueB = Math.max(Math.min(0.3, tourismMaxB), Math.min(tourismMaxB, valueB));
   } else {
-    const base = 0.2 + rng() * (TOURISM_OUTSIDE_CITY_MAX_B - 0.25);
+    const base = 0.2 + rng() * (tourismOutsideCityMaxB - 0.25);
     const fluct = (rng() - 0.5) * 0.2;
     valueB = (base + fluct) * distanceFactor;
-    valueB = Math.max(0.05, Math.min(TOURISM_OUTSIDE_CITY_MAX_B, valueB));
+    valueB = Math.max(Math.min(0.05, tourismOutsideCityMaxB), Math.min(tourismOutsideCityMaxB, valueB));
   }
   return valueB * 1e9;
 }
 
+function neighborhoodRate(economics, feature) {
+  const { neighborhoodRates, districtRates, defaultRatePerSqFt } = economics;
+  return neighborhoodRates[feature.name] ?? districtRates[feature.district] ?? defaultRatePerSqFt;
+}
+
+function bboxContains(bbox, lat, lng, padLat = 0, padLng = 0) {
+  return (
+    lat >= bbox.latMin - padLat &&
+    lat <= bbox.latMax + padLat &&
+    lng >= bbox.lngMin - padLng &&
+    lng <= bbox.lngMax + padLng
+  );
+}
+
+/** Meters from a point to the nearest edge of a feature's rings (flat-earth; fine at neighborhood scale). */
+function distanceToFeatureEdgeM(lat, lng, feature) {
+  const mPerLat = 111320;
+  const mPerLng = 111320 * Math.cos((lat * Math.PI) / 180);
+  let best = Infinity;
+  for (const ring of feature.rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const ax = (ring[j][1] - lng) * mPerLng;
+      const ay = (ring[j][0] - lat) * mPerLat;
+      const dx = (ring[i][1] - lng) * mPerLng - ax;
+      const dy = (ring[i][0] - lat) * mPerLat - ay;
+      const len2 = dx * dx + dy * dy;
+      const t = len2 > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+      best = Math.min(best, Math.hypot(ax + t * dx, ay + t * dy));
+    }
+  }
+  return best;
+}
+
+/**
+ * Rate from the neighborhood polygon containing the point; its name is the label. Within neighborhoodBlendM of a
+ * border the rate blends with each neighbor weighted 1 − d / blend, so two rates meet halfway at the line instead of
+ * jumping. Returns { rate, label }, or null before the polygons load or outside all of them (water).
+ */
+function neighborhoodRateAt(economics, lat, lng) {
+  const home = neighborhoodAt(lat, lng);
+  if (!home) return null;
+  const homeRate = neighborhoodRate(economics, home);
+  const blendM = economics.neighborhoodBlendM;
+  if (blendM <= 0 || distanceToFeatureEdgeM(lat, lng, home) >= blendM) {
+    return { rate: homeRate, label: home.name };
+  }
+  const padLat = blendM / 111320;
+  const padLng = blendM / (111320 * Math.cos((lat * Math.PI) / 180));
+  let weighted = homeRate;
+  let weights = 1;
+  for (const f of neighborhoodsNear(lat, lng, padLat, padLng)) {
+    if (f === home || !bboxContains(f.bbox, lat, lng, padLat, padLng)) continue;
+    const d = distanceToFeatureEdgeM(lat, lng, f);
+    if (d >= blendM) continue;
+    const w = 1 - d / blendM;
+    weighted += neighborhoodRate(economics, f) * w;
+    weights += w;
+  }
+  return { rate: weighted / weights, label: home.name };
+}
+
 /**
- * Get land valuation at a point: zone overlap (average rate), deterministic jitter ±5%, soft-cost multiplier.
- * Returns { ratePerSqFt, landValue, neighborhoodLabel }. landValue is "Land Acquisition" (includes assembly/friction).
+ * Get land valuation at a point: the neighborhood polygon's rate (blended near borders), else — before the polygons
+ * load, or off them — zone overlap (average rate). Then deterministic jitter ±5% and the soft-cost multiplier.
+ * Returns { ratePerSqFt, landValue, neighborhoodLabel }. landValue is "Land Acquisition" (includes assembly/friction),
+ * scaled to the tower type's parcel size. Rates and multiplier come from `economics`.
  */
-function getValuationAtLatLng(lat, lng) {
+function getValuationAtLatLng(economics, lat, lng, parcelAcres = NEEDLE_PARCEL_ACRES) {
   const hover = { lat, lng };
-  const matches = ZONES.filter((z) => distanceMeters(hover, z.center) <= z.radiusM);
+  const polygon = neighborhoodRateAt(economics, lat, lng);
+  const matches = polygon ? [] : ZONES.filter((z) => distanceMeters(hover, z.center) <= z.radiusM);
   let rate;
   let neighborhoodLabel;
-  if (matches.length === 0) {
-    rate = DEFAULT_RATE_PER_SQFT;
+  if (polygon) {
+    rate = polygon.rate;
+    neighborhoodLabel = polygon.label;
+  } else if (matches.length === 0) {
+    rate = economics.defaultRatePerSqFt;
     neighborhoodLabel = "Seattle (General)";
   } else if (matches.length === 1) {
-    rate = matches[0].ratePerSqFt;
+    rate = economics.zoneRates[matches[0].id];
     neighborhoodLabel = matches[0].name;
   } else {
-    rate = matches.reduce((sum, z) => sum + z.ratePerSqFt, 0) / matches.length;
+    rate = matches.reduce((sum, z) => sum + economics.zoneRates[z.id], 0) / matches.length;
     neighborhoodLabel = matches.map((z) => z.name).join("/");
   }
   const seed = seedFromQuantizedLatLng(lat, lng);
   const r = seededRandom(seed);
   const multiplier = 0.95 + r() * 0.1;
   const finalRate = rate * multiplier;
-  const rawLandValue = finalRate * NEEDLE_BASE_AREA_SQFT;
-  const landValue = Math.round((rawLandValue * SOFT_COST_MULT) / 10000) * 10000;
+  const rawLandValue = finalRate * NEEDLE_BASE_AREA_SQFT * (parcelAcres / NEEDLE_PARCEL_ACRES);
+  const landValue = Math.round((rawLandValue * economics.softCostMult) / 10000) * 10000;
   return {
     ratePerSqFt: finalRate,
     landValue,
@@ -673,153 +1011,813 @@ function getValuationAtLatLng(lat, lng) {
   };
 }
 
-function formatCurrency(n) {
-  if (n >= 1e9) return `$${(n / 1e9).toFixed(1)}B`;
-  if (n >= 1e6) return `$${(n / 1e6).toFixed(1)}M`;
-  if (n >= 1e3) return `$${(n / 1e3).toFixed(0)}K`;
-  return `$${n.toFixed(0)}`;
+function towerTypeKeyOf(p) {
+  return p?.towerType in TOWER_TYPES ? p.towerType : DEFAULT_TOWER_TYPE;
 }
 
-/** Format as $X.XB/yr for tourism revenue. */
-function formatCurrencyPerYear(n) {
-  if (n >= 1e9) return `$${(n / 1e9).toFixed(1)}B/yr`;
-  if (n >= 1e6) return `$${(n / 1e6).toFixed(1)}M/yr`;
-  if (n >= 1e3) return `$${(n / 1e3).toFixed(1)}K/yr`;
-  return `$${n.toFixed(1)}/yr`;
+/** Tower type of a placement: its catalog entry (label, model, footprint). */
+function towerTypeOf(p) {
+  return TOWER_TYPES[towerTypeKeyOf(p)];
 }
 
-function formatRate(ratePerSqFt) {
-  return `$${Math.round(ratePerSqFt)}/sqft`;
+/** A placement's tower type as priced by `economics`: { buildCost, parcelAcres }. */
+function towerEconomicsOf(economics, p) {
+  return economics.towers[towerTypeKeyOf(p)];
 }
 
-/** Format lat/lng with degree symbol and N/S, E/W. Optional separator (default ", "; use " · " for postcard style). */
-function formatLatLngDirectional(lat, lng, separator = ", ") {
-  const la = Number(lat);
-  const lo = Number(lng);
-  const latDir = la >= 0 ? "N" : "S";
-  const lngDir = lo >= 0 ? "E" : "W";
-  const latStr = `${Math.abs(la).toFixed(5)}° ${latDir}`;
-  const lngStr = `${Math.abs(lo).toFixed(5)}° ${lngDir}`;
-  return `${latStr}${separator}${lngStr}`;
+function footprintRadiusOf(p) {
+  return towerTypeOf(p).footprintRadiusM;
 }
 
-/** Mobile-only: compact coords as lat, lng (no N/W). */
-function formatLatLngMobile(lat, lng) {
-  return `${Number(lat).toFixed(5)}, ${Number(lng).toFixed(5)}`;
+/** Placement record at a point with fresh valuation and tourism revenue under `economics`. */
+// Serial follows the id (the original is #1, so id 1 is #2); it is stored so it survives removals and reloads.
+function createPlacement(economics, id, at, towerType = DEFAULT_TOWER_TYPE, elevation = null) {
+  return revaluePlacement(
+    economics,
+    { id, serial: id + 1, name: null, note: null, towerType, heading: 0, heightScale: 1 },
+    at,
+    elevation
+  );
 }
 
-function formatCoordLabel(lat, lng) {
-  const latDir = lat >= 0 ? "N" : "S";
-  const lngDir = lng >= 0 ? "E" : "W";
-  return `${Math.abs(Number(lat)).toFixed(5)}° ${latDir}, ${Math.abs(Number(lng)).toFixed(5)}° ${lngDir}`;
+/**
+ * Same placement moved to `at`: position, valuation and tourism revenue recomputed. On water it becomes a
+ * floating platform: no land acquisition, a pontoon platform cost for its water body instead.
+ * `elevation` (meters, when the caller has fetched it) refines the water test. With neither elevation nor
+ * neighborhood polygons that test can only say "land", so the result is marked `waterProvisional` and redone by
+ * repricePlacement once the polygons load.
+ */
+function revaluePlacement(economics, p, at, elevation = null) {
+  const valuation = getValuationAtLatLng(economics, at.lat, at.lng, towerEconomicsOf(economics, p).parcelAcres);
+  const isWaterPlatform = isWaterForPricing(at.lat, at.lng, elevation);
+  const waterBody = isWaterPlatform ? (getWaterProximity(at.lat, at.lng).waterType ?? "open_water") : null;
+  return {
+    ...p,
+    lat: at.lat,
+    lng: at.lng,
+    altitude: at.altitude ?? 0,
+    neighborhoodLabel: valuation.neighborhoodLabel,
+    landValue: isWaterPlatform ? 0 : valuation.landValue,
+    ratePerSqFt: valuation.ratePerSqFt,
+    isWaterPlatform,
+    waterBody,
+    waterProvisional: elevation == null && !seattleNeighborhoodFeatures?.length,
+    platformCost: isWaterPlatform ? platformCostFor(economics, p, waterBody) : 0,
+    tourismRevenue: computeTourismRevenue(economics, at.lat, at.lng),
+  };
 }
 
-function loadImage(src) {
-  return new Promise((resolve, reject) => {
-    const img = new Image();
-    img.crossOrigin = "anonymous";
-    img.onload = () => resolve(img);
-    img.onerror = reject;
-    img.src = src;
-  });
+function platformCostFor(economics, p, waterBody) {
+  const { platformCostPerAcre } = economics;
+  const { parcelAcres } = towerEconomicsOf(economics, p);
+  return Math.round((platformCostPerAcre * parcelAcres * waterBodyOf(waterBody).costFactor) / 10000) * 10000;
 }
 
-/** Simple UA check for iOS (iPhone, iPad) so we can offer long-press save instead of forced download. */
-function isIosSafari() {
-  if (typeof navigator === "undefined") return false;
-  const ua = navigator.userAgent;
-  return /iPad|iPhone|iPod/.test(ua) || (navigator.platform === "MacIntel" && navigator.maxTouchPoints > 1);
+/**
+ * Same placement, same spot, priced under `economics`. Land/water is kept as decided when it was placed
+ * (that test may have used an elevation reading we no longer have), unless it was provisional and the polygons
+ * have loaded since: then the water test is redone as well.
+ */
+function repricePlacement(economics, p) {
+  if (p.waterProvisional && seattleNeighborhoodFeatures?.length) return revaluePlacement(economics, p, p);
+  const valuation = getValuationAtLatLng(economics, p.lat, p.lng, towerEconomicsOf(economics, p).parcelAcres);
+  return {
+    ...p,
+    neighborhoodLabel: valuation.neighborhoodLabel,
+    landValue: p.isWaterPlatform ? 0 : valuation.landValue,
+    ratePerSqFt: valuation.ratePerSqFt,
+    platformCost: p.isWaterPlatform ? platformCostFor(economics, p, p.waterBody) : 0,
+    tourismRevenue: computeTourismRevenue(economics, p.lat, p.lng),
+  };
 }
 
-/** Build postcard JPG and return data URL (for download or iOS save flow). */
-async function generatePostcardJpgDataUrl(polaroid) {
-  if (!polaroid?.dataUrl) return null;
+/** Fill valuation fields missing from a restored placement (older saves, hand-edited storage). */
+function withValuation(economics, p) {
+  // Saves from before water platforms have no water fields: re-check for water and revalue in full.
+  if (typeof p.isWaterPlatform !== "boolean") return revaluePlacement(economics, p, p);
+  if (p.neighborhoodLabel != null && p.landValue != null && p.ratePerSqFt != null && p.tourismRevenue != null) return p;
+  const valuation = getValuationAtLatLng(economics, p.lat, p.lng, towerEconomicsOf(economics, p).parcelAcres);
+  return {
+    ...p,
+    neighborhoodLabel: p.neighborhoodLabel ?? valuation.neighborhoodLabel,
+    landValue: p.landValue ?? valuation.landValue,
+    ratePerSqFt: p.ratePerSqFt ?? valuation.ratePerSqFt,
+    tourismRevenue: p.tourismRevenue ?? computeTourismRevenue(economics, p.lat, p.lng),
+  };
+}
 
-  const [img, logoImg] = await Promise.all([
-    loadImage(polaroid.dataUrl),
-    loadImage("/eg_logo_postcard.png").catch(() => null),
-  ]);
+/** Land a placement acquires, in acres: its parcel, or none for a floating platform. */
+function landAcresOf(economics, p) {
+  return p.isWaterPlatform ? 0 : towerEconomicsOf(economics, p).parcelAcres;
+}
 
-  const W = 1600;
-  const H = 1200;
+/** Density outside every zone: lower-density Seattle (houses, small businesses). */
+const DEFAULT_DENSITY = { housingUnitsPerAcre: 8, jobsPerAcre: 4 };
 
-  const canvas = document.createElement("canvas");
-  canvas.width = W;
-  canvas.height = H;
-  const ctx = canvas.getContext("2d");
+/**
+ * Which ZONES density a neighborhood polygon takes: by polygon name, then by district (`nhood`), the same lookup
+ * order as the polygon rates. Polygons in neither use DEFAULT_DENSITY.
+ */
+const NEIGHBORHOOD_DENSITY_ZONES = {
+  "Central Business District": "downtown",
+  "Pike-Market": "downtown",
+  "Pioneer Square": "downtown",
+  Belltown: "belltown",
+  "South Lake Union": "slu",
+  Westlake: "slu",
+  "Lower Queen Anne": "seattle-center",
+  "First Hill": "first-hill",
+  "Yesler Terrace": "first-hill",
+};
+const DISTRICT_DENSITY_ZONES = {
+  Downtown: "downtown",
+  Cascade: "slu",
+  "Queen Anne": "queen-anne",
+  "Capitol Hill": "capitol-hill",
+  Ballard: "ballard",
+  Fremont: "fremont",
+  "University District": "udistrict",
+  Magnolia: "magnolia",
+  "West Seattle": "west-seattle",
+  "Beacon Hill": "beacon-hill",
+  "Rainier Valley": "rainier-valley",
+};
 
-  const bg = "#f6f4ef";
-  const white = "#ffffff";
-  const ink = "#111111";
-  const muted = "rgba(17,17,17,0.75)";
+/**
+ * Housing units and jobs per acre at a point, from the same place the valuation names: the neighborhood polygon's
+ * zone (see NEIGHBORHOOD_DENSITY_ZONES) or, before the polygons load, the average of the zone circles it falls in.
+ * Else DEFAULT_DENSITY. Less the park share of the placeholder neighborhood (parkland houses and employs nobody).
+ */
+function densityAt(lat, lng) {
+  const home = neighborhoodAt(lat, lng);
+  let base;
+  if (home) {
+    const zoneId = NEIGHBORHOOD_DENSITY_ZONES[home.name] ?? DISTRICT_DENSITY_ZONES[home.district];
+    base = ZONES.find((z) => z.id === zoneId) ?? DEFAULT_DENSITY;
+  } else {
+    const matches = ZONES.filter((z) => distanceMeters({ lat, lng }, z.center) <= z.radiusM);
+    base = matches.length
+      ? {
+          housingUnitsPerAcre: matches.reduce((sum, z) => sum + z.housingUnitsPerAcre, 0) / matches.length,
+          jobsPerAcre: matches.reduce((sum, z) => sum + z.jobsPerAcre, 0) / matches.length,
+        }
+      : DEFAULT_DENSITY;
+  }
+  const built = 1 - getPlaceholderZoneRules(lat, lng).parkFactor;
+  return { housingUnitsPerAcre: base.housingUnitsPerAcre * built, jobsPerAcre: base.jobsPerAcre * built };
+}
 
-  const margin = 70;
-  const infoBlockH = 220;
-  const framePad = 24;
+/** Households and jobs displaced by a placement's land (none on water); `owned` nets out shared footprints. */
+function displacementOf(economics, p, owned = 1) {
+  const acres = landAcresOf(economics, p) * owned;
+  if (acres === 0) return { households: 0, jobs: 0 };
+  const density = densityAt(p.lat, p.lng);
+  return { households: acres * density.housingUnitsPerAcre, jobs: acres * density.jobsPerAcre };
+}
 
-  const frameX = margin;
-  const frameY = margin;
-  const frameW = W - margin * 2;
-  const frameH = H - margin * 2 - infoBlockH;
+/**
+ * Construction cost for a placement: its tower type's cost, scaled by height (taller costs proportionally more)
+ * and by `escalation`, the factor for its place in the build order (see escalationFactor).
+ */
+function needleBuildCost(economics, p, escalation = 1) {
+  return towerEconomicsOf(economics, p).buildCost * (p?.heightScale ?? 1) * escalation;
+}
 
-  const photoX = frameX + framePad;
-  const photoY = frameY + framePad;
-  const photoW = frameW - framePad * 2;
-  const photoH = frameH - framePad * 2;
+/** The original needle's share of the civic totals: its parcel (acres) and 1962 cost. */
+const ORIGINAL_TOTALS = { acres: 0.33, cost: 4_500_000 };
+const ORIGINAL_YEAR = 1962;
+/** Year the economics config prices are in: land rates, build costs and tourism are today's dollars. */
+const PRICE_YEAR = CPI_LATEST_YEAR;
+
+/** Cost line items, in breakdown order. Every dollar of Total Cost lands in exactly one of them. */
+const COST_ITEMS = [
+  { key: "rawLand", label: "Land (raw)" },
+  { key: "softCosts", label: "Assembly & soft costs" },
+  { key: "construction", label: "Construction" },
+  { key: "escalation", label: "Escalation" },
+  { key: "sitePrep", label: "Site prep & platforms" },
+  { key: "original", label: `Original needle (${ORIGINAL_YEAR})` },
+];
 
-  ctx.fillStyle = bg;
-  ctx.fillRect(0, 0, W, H);
+/**
+ * A placement's cost by line item. Land is net of shared footprints (`owned`) and split into the raw parcel price and
+ * the soft-cost markup folded into landValue; construction is the unescalated build cost, escalation the rest.
+ * Site prep is the floating platform cost, so it is zero on land.
+ */
+function costBreakdownOf(economics, p, owned = 1, escalation = 1) {
+  const land = (p.landValue ?? 0) * owned;
+  const rawLand = land / economics.softCostMult;
+  const construction = needleBuildCost(economics, p);
+  return {
+    rawLand,
+    softCosts: land - rawLand,
+    construction,
+    escalation: needleBuildCost(economics, p, escalation) - construction,
+    sitePrep: p.platformCost ?? 0,
+    original: 0,
+  };
+}
 
-  ctx.fillStyle = white;
-  ctx.fillRect(frameX, frameY, frameW, frameH);
+function sumBreakdown(breakdown) {
+  return COST_ITEMS.reduce((sum, { key }) => sum + breakdown[key], 0);
+}
 
-  const imgAR = img.width / img.height;
-  const boxAR = photoW / photoH;
+/** Whole-dollar line items that add up to the whole-dollar total: the rounding remainder goes to the largest item. */
+function roundBreakdown(breakdown) {
+  const rounded = Object.fromEntries(COST_ITEMS.map(({ key }) => [key, Math.round(breakdown[key])]));
+  const drift = Math.round(sumBreakdown(breakdown)) - sumBreakdown(rounded);
+  if (drift !== 0) {
+    const largest = COST_ITEMS.reduce((a, b) => (Math.abs(rounded[b.key]) > Math.abs(rounded[a.key]) ? b : a)).key;
+    rounded[largest] += drift;
+  }
+  return rounded;
+}
 
-  let sx = 0; let sy = 0; let sw = img.width; let sh = img.height;
+function formatDollars(n) {
+  return `${n < 0 ? "−" : ""}$${Math.abs(Math.round(n)).toLocaleString()}`;
+}
 
-  if (imgAR > boxAR) {
-    sh = img.height;
-    sw = sh * boxAR;
-    sx = (img.width - sw) / 2;
-    sy = 0;
-  } else {
-    sw = img.width;
-    sh = sw / boxAR;
-    sx = 0;
-    sy = (img.height - sh) / 2;
-  }
+const ESCALATION_MODEL_LABELS = {
+  compound: "Compounding — each needle costs the rate more than the one before (SPEC: 10%)",
+  linear: "Linear — each needle adds the rate, as a share of the baseline",
+  scale: "Economies of scale — each needle costs the rate less than the one before",
+};
+/** Economies of scale never take a needle below this share of its baseline cost. */
+const SCALE_DISCOUNT_FLOOR = 0.5;
 
-  ctx.drawImage(img, sx, sy, sw, sh, photoX, photoY, photoW, photoH);
+/**
+ * Build-cost multiplier for the placement at `index` in build order (0 = the first needle after #1, which costs
+ * the baseline). Models come from settings: compounding (1 + r)^i, linear 1 + r·i, or a compounding discount.
+ */
+function escalationFactor(index, { escalationModel, escalationPct }) {
+  const r = escalationPct / 100;
+  if (escalationModel === "linear") return 1 + r * index;
+  if (escalationModel === "scale") return Math.max(SCALE_DISCOUNT_FLOOR, (1 - r) ** index);
+  return (1 + r) ** index;
+}
 
-  const blockX = margin;
-  const blockY = frameY + frameH;
-  const blockW = frameW;
-  const blockH = infoBlockH;
+/**
+ * Market saturation: the share of its standalone tourism revenue (p.tourismRevenue) each needle actually earns.
+ * Catchment: visitors are split with every needle (the original included) within tourismCatchmentM, each weighted
+ * by closeness, 1 / (1 + Σ (1 − d / catchment)); two needles on one spot earn half each. Count: with n new needles,
+ * all of them earn 1 / (1 + tourismCountPenalty × (n − 1)). Returns id → factor in (0, 1].
+ */
+function tourismSaturation(economics, placements) {
+  const countFactor = tourismCountFactor(economics, placements.length);
+  const rivals = [ORIGINAL_NEEDLE_POSITION, ...placements];
+  const factors = new Map();
+  for (const p of placements) factors.set(p.id, countFactor / (1 + catchmentCrowding(economics, p, rivals)));
+  return factors;
+}
 
-  ctx.fillStyle = white;
-  ctx.fillRect(blockX, blockY, blockW, blockH);
+/** The count part of tourismSaturation for a layout of `n` new needles. */
+function tourismCountFactor({ tourismCountPenalty }, n) {
+  return 1 / (1 + tourismCountPenalty * Math.max(0, n - 1));
+}
 
-  const needleNum = polaroid.needleNumber ?? polaroid.needleId ?? "";
-  const coord = formatCoordLabel(polaroid.lat ?? 0, polaroid.lng ?? 0);
+/** The catchment part of tourismSaturation: Σ (1 − d / catchment) over the `rivals` near `p` (`p` itself skipped). */
+function catchmentCrowding({ tourismCatchmentM }, p, rivals) {
+  let crowding = 0;
+  if (tourismCatchmentM > 0) {
+    for (const q of rivals) {
+      if (q === p) continue;
+      const d = distanceMeters(p, q);
+      if (d < tourismCatchmentM) crowding += 1 - d / tourismCatchmentM;
+    }
+  }
+  return crowding;
+}
 
-  const leftX = blockX + 34;
-  const rightX = blockX + blockW - 34;
-  const topLineY = blockY + 72;
+const DOLLAR_MODE_LABELS = { nominal: "Nominal", constant: "Constant" };
 
-  ctx.fillStyle = ink;
-  ctx.font = "600 34px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial";
-  ctx.textBaseline = "alphabetic";
-  ctx.textAlign = "left";
-  ctx.fillText(`Greetings from Space Needle #${needleNum}!`, leftX, topLineY);
+/**
+ * Multipliers that put money into the panel's dollars: `today` for anything priced by the economics config,
+ * `original` for the 1962 cost. Nominal leaves both as priced; constant moves both into the base year's dollars.
+ */
+function dollarFactors(settings) {
+  if (settings.dollarsMode !== "constant") return { today: 1, original: 1 };
+  return {
+    today: inflationFactor(PRICE_YEAR, settings.dollarsBaseYear),
+    original: inflationFactor(ORIGINAL_YEAR, settings.dollarsBaseYear),
+  };
+}
 
-  ctx.fillStyle = muted;
-  ctx.font = "500 26px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial";
-  ctx.fillText(coord, leftX, topLineY + 40);
+/** Unit for money column headers: "$" (nominal) or "2024 $". */
+function dollarUnitOf(settings) {
+  return settings.dollarsMode === "constant" ? `${settings.dollarsBaseYear} $` : "$";
+}
 
-  ctx.fillStyle = ink;
-  ctx.font = "600 24px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial";
-  ctx.fillText("twospaceneedles.org | @twospaceneedles", leftX, blockY + blockH - 44);
+/**
+ * Civic totals for a layout priced under `economics`, original included: { needles, acres, cost, breakdown, revenue,
+ * households, jobs, shares, saturation, perNeedle }. `cost` is the sum of the `breakdown` line items (COST_ITEMS).
+ * Land (acres and cost) is net of shared footprints under the "share" policy; `shares` maps placement id → shared
+ * land fraction. Revenue is net of market saturation (`saturation`, see tourismSaturation). Households and jobs are
+ * those displaced (the original's 1962 site is not counted). `perNeedle` maps id → { cost, breakdown, revenue, households, jobs },
+ * that needle's part of the totals. Build costs escalate in layout order.
+ * `options` is the exhibit settings (overlap policy, escalation model, dollars): in constant dollars every amount
+ * is moved into the base year (see dollarFactors).
+ * Everything that moves a total goes through here, so previews and the civic block always agree.
+ */
+function computeLayoutTotals(economics, placements, options) {
+  const { overlapPolicy } = options;
+  const shares = new Map();
+  if (overlapPolicy === "share") {
+    for (const p of placements) shares.set(p.id, sharedLandFraction(p, placements, p.id, footprintRadiusOf(p)));
+  }
+  const dollars = dollarFactors(options);
+  let acres = ORIGINAL_TOTALS.acres;
+  const breakdown = Object.fromEntries(
+    COST_ITEMS.map(({ key }) => [key, key === "original" ? ORIGINAL_TOTALS.cost * dollars.original : 0])
+  );
+  let revenue = 0;
+  let households = 0;
+  let jobs = 0;
+  const saturation = tourismSaturation(economics, placements);
+  const perNeedle = new Map();
+  placements.forEach((p, i) => {
+    const needle = needleFiguresOf(economics, p, 1 - (shares.get(p.id) ?? 0), escalationFactor(i, options), dollars);
+    const needleRevenue = standaloneRevenueOf(economics, p) * saturation.get(p.id) * dollars.today;
+    acres += needle.acres;
+    for (const { key } of COST_ITEMS) breakdown[key] += needle.breakdown[key];
+    revenue += needleRevenue;
+    households += needle.households;
+    jobs += needle.jobs;
+    perNeedle.set(p.id, { ...needle, revenue: needleRevenue });
+  });
+  const cost = sumBreakdown(breakdown);
+  return { needles: 1 + placements.length, acres, cost, breakdown, revenue, households, jobs, shares, saturation, perNeedle };
+}
+
+/** Tourism revenue a placement would earn alone, before saturation. */
+function standaloneRevenueOf(economics, p) {
+  return p.tourismRevenue ?? computeTourismRevenue(economics, p.lat, p.lng);
+}
+
+/** A placement's cost side of the totals: { cost, breakdown, acres, households, jobs }, in the panel's `dollars`. */
+function needleFiguresOf(economics, p, owned, escalation, dollars) {
+  const breakdown = Object.fromEntries(
+    Object.entries(costBreakdownOf(economics, p, owned, escalation)).map(([key, v]) => [key, v * dollars.today])
+  );
+  return { cost: sumBreakdown(breakdown), breakdown, acres: landAcresOf(economics, p) * owned, ...displacementOf(economics, p, owned) };
+}
+
+/**
+ * What putting `candidate` into the layout would do to `base`, the computeLayoutTotals of `placements`: a drop when
+ * its id is new, else the move of that needle. Gives the same numbers as re-totalling the layout, but only re-prices
+ * the needles the candidate can reach (its footprint neighbours for overlap shares and its catchment rivals, at the
+ * new spot and, on a move, the old one); the count penalty rescales everyone else's revenue in one step. Cheap enough
+ * to run on every pointer move. Returns the { acres, cost, revenue, households, jobs } deltas and `candidate`, its
+ * own { cost, breakdown, revenue, households, jobs, saturation }.
+ */
+function computeMarginalTotals(economics, placements, base, candidate, options) {
+  const dollars = dollarFactors(options);
+  const previous = placements.find((p) => p.id === candidate.id) ?? null;
+  const layout = previous ? placements.map((p) => (p === previous ? candidate : p)) : [...placements, candidate];
+  const spots = previous ? [candidate, previous] : [candidate];
+  const rivals = [ORIGINAL_NEEDLE_POSITION, ...layout];
+  const countFactor = tourismCountFactor(economics, layout.length);
+  const countScale = countFactor / tourismCountFactor(economics, placements.length);
+  const delta = { acres: 0, cost: 0, revenue: 0, households: 0, jobs: 0 };
+  let own = null;
+  layout.forEach((p, i) => {
+    const before = base.perNeedle.get(p.id);
+    const reached =
+      p === candidate ||
+      spots.some((s) => distanceMeters(p, s) < Math.max(economics.tourismCatchmentM, footprintRadiusOf(p) + footprintRadiusOf(s)));
+    if (!reached) {
+      delta.revenue += before.revenue * (countScale - 1);
+      return;
+    }
+    const owned =
+      options.overlapPolicy === "share" ? 1 - sharedLandFraction(p, layout, p.id, footprintRadiusOf(p)) : 1;
+    const saturation = countFactor / (1 + catchmentCrowding(economics, p, rivals));
+    const after = {
+      ...needleFiguresOf(economics, p, owned, escalationFactor(i, options), dollars),
+      revenue: standaloneRevenueOf(economics, p) * saturation * dollars.today,
+    };
+    for (const key of Object.keys(delta)) delta[key] += after[key] - (before?.[key] ?? 0);
+    if (p === candidate) own = { ...after, saturation };
+  });
+  return { ...delta, candidate: own };
+}
+
+/** Finance model options from the exhibit settings. */
+function financeOptionsOf(settings) {
+  return { discountRate: settings.discountRatePct / 100, years: FINANCE_HORIZON_YEARS };
+}
+
+/**
+ * Payback, NPV and IRR for every placement (id → analysis) and for the layout's new needles as one investment.
+ * The original is left out: its 1962 cost is long since paid and it earns no *additional* tourism.
+ */
+function computeLayoutFinance(totals, settings) {
+  const options = financeOptionsOf(settings);
+  const perNeedle = new Map();
+  for (const [id, { cost, revenue }] of totals.perNeedle) perNeedle.set(id, analyzeInvestment(cost, revenue, options));
+  return { perNeedle, layout: analyzeInvestment(totals.cost - totals.breakdown.original, totals.revenue, options) };
+}
+
+/** Signed change for the live previews: "+$1.2M", "−0.50". */
+function formatDelta(n, format) {
+  return `${n >= 0 ? "+" : "−"}${format(Math.abs(n))}`;
+}
+
+/** Model3DElement pose for a placement: tilt 270 stands the model upright, heading spins it about the vertical. */
+function modelPoseFor(p) {
+  return {
+    scale: towerTypeOf(p).scale * (p?.heightScale ?? 1),
+    orientation: { heading: p?.heading ?? 0, tilt: 270 },
+  };
+}
+
+/**
+ * Number shown to visitors: the original is #1, placements carry a stable serial (#2, #3, …) that does not
+ * shift when an earlier needle is removed. Records without one fall back to their position.
+ */
+function needleNumberFor(id, placements) {
+  if (id === ORIGINAL_NEEDLE_ID) return 1;
+  const i = placements.findIndex((p) => p.id === id);
+  if (i === -1) return null;
+  return placements[i].serial ?? i + 2;
+}
+
+/** Name limits for the needle name/note dialog (kept short so titles and postcards stay on one line). */
+const NEEDLE_NAME_MAX = 40;
+const NEEDLE_NOTE_MAX = 200;
+
+/** Title for a placement: its given name, else "<Tower type> #<serial>". */
+function needleTitleFor(p, placements) {
+  const number = needleNumberFor(p.id, placements);
+  return p.name ? `${p.name} (#${number})` : `${towerTypeOf(p).label} #${number}`;
+}
+
+/** Greeting line on the polaroid and postcard. */
+function polaroidGreeting(polaroid) {
+  if (polaroid.needleName) return `Greetings from ${polaroid.needleName} (#${polaroid.needleNumber})!`;
+  return `Greetings from ${polaroid.towerLabel ?? "Space Needle"} #${polaroid.needleNumber ?? polaroid.needleId ?? ""}!`;
+}
+
+/** Cost line on the polaroid and postcard: the needle's nonzero breakdown items, then its total, in its dollars. */
+function polaroidCostLine(polaroid) {
+  if (!polaroid.costBreakdown) return null;
+  const items = COST_ITEMS.filter(({ key }) => polaroid.costBreakdown[key] !== 0).map(
+    ({ key, label }) => `${label} ${formatCurrency(polaroid.costBreakdown[key])}`
+  );
+  const unit = polaroid.dollarsUnit && polaroid.dollarsUnit !== "$" ? ` (${polaroid.dollarsUnit})` : "";
+  return `${items.join(" · ")} = ${formatCurrency(sumBreakdown(polaroid.costBreakdown))}${unit}`;
+}
+
+/** Area (m²) of the lens where circles of radius r1 and r2, d meters apart, overlap. */
+function circleOverlapArea(r1, r2, d) {
+  if (d >= r1 + r2) return 0;
+  if (d <= Math.abs(r1 - r2)) return Math.PI * Math.min(r1, r2) ** 2;
+  const a1 = r1 * r1 * Math.acos((d * d + r1 * r1 - r2 * r2) / (2 * d * r1));
+  const a2 = r2 * r2 * Math.acos((d * d + r2 * r2 - r1 * r1) / (2 * d * r2));
+  const k = 0.5 * Math.sqrt((-d + r1 + r2) * (d + r1 - r2) * (d - r1 + r2) * (d + r1 + r2));
+  return a1 + a2 - k;
+}
+
+/**
+ * Ids of needles whose footprint overlaps a footprint of radius `radiusM` at `at`: the original (id 0)
+ * and any placement but `excludeId`.
+ */
+function findOverlappingNeedles(at, placements, excludeId = null, radiusM = FOOTPRINT_RADIUS_M) {
+  const hits = [];
+  if (distanceMeters(at, SEATTLE_CENTER) < radiusM + FOOTPRINT_RADIUS_M) hits.push(ORIGINAL_NEEDLE_ID);
+  for (const p of placements) {
+    if (p.id !== excludeId && distanceMeters(at, p) < radiusM + footprintRadiusOf(p)) hits.push(p.id);
+  }
+  return hits;
+}
+
+/**
+ * Share of a footprint's land already paid for, under the "share" overlap policy. Land under the original
+ * is owned outright (full credit); land shared with another placement is split between the two (half each).
+ * Floating platforms own no land, so overlapping one earns no credit.
+ */
+function sharedLandFraction(at, placements, excludeId = null, radiusM = FOOTPRINT_RADIUS_M) {
+  const footprintArea = Math.PI * radiusM ** 2;
+  let fraction = 0;
+  for (const id of findOverlappingNeedles(at, placements, excludeId, radiusM)) {
+    const other = id === ORIGINAL_NEEDLE_ID ? SEATTLE_CENTER : placements.find((p) => p.id === id);
+    if (other.isWaterPlatform) continue;
+    const otherRadius = id === ORIGINAL_NEEDLE_ID ? FOOTPRINT_RADIUS_M : footprintRadiusOf(other);
+    const lens = circleOverlapArea(radiusM, otherRadius, distanceMeters(at, other)) / footprintArea;
+    fraction += id === ORIGINAL_NEEDLE_ID ? lens : lens / 2;
+  }
+  return Math.min(1, fraction);
+}
+
+/** Hovered-needle footprint; selected needles reuse it. */
+const FOOTPRINT_HIGHLIGHT_STYLE = {
+  fillColor: "rgba(124, 179, 66, 0.45)",
+  strokeColor: "rgba(85, 139, 47, 1)",
+  strokeWidth: 3,
+};
+
+/** Lasso points closer together than this (px) are dropped while drawing. */
+const LASSO_MIN_STEP_PX = 4;
+
+/** Footprint polygon colors: normal, overlapping (warn/share), and refused (block). */
+const FOOTPRINT_COLORS = {
+  ok: { fillColor: "rgba(124, 179, 66, 0.25)", strokeColor: "rgba(85, 139, 47, 0.8)" },
+  overlap: { fillColor: "rgba(224, 162, 26, 0.35)", strokeColor: "rgba(224, 162, 26, 0.95)" },
+  blocked: { fillColor: "rgba(181, 35, 47, 0.35)", strokeColor: "rgba(181, 35, 47, 0.95)" },
+};
+
+/** Buildings the "no landmarks" rule keeps needles off (the same bounds that pick the landmark drop sounds). */
+const PROTECTED_LANDMARKS = [
+  { name: "MoPOP", bounds: MOPOP_BOUNDS },
+  { name: "Chihuly Garden and Glass", bounds: CHIHULY_BOUNDS },
+  { name: "Pacific Science Center", bounds: PACIFIC_SCIENCE_CENTER_BOUNDS },
+  { name: "Climate Pledge Arena", bounds: CLIMATE_PLEDGE_ARENA_BOUNDS },
+  { name: "Lumen Field", bounds: LUMEN_FIELD_BOUNDS },
+  { name: "T-Mobile Park", bounds: T_MOBILE_PARK_BOUNDS },
+];
+
+const METERS_PER_FOOT = 0.3048;
+
+/**
+ * Placement rules operators can switch on in Settings (ids match PLACEMENT_RULE_IDS).
+ * Each check returns why `at` is refused, or null. `ctx` = { elevation (null while hovering), minDistanceFt }.
+ */
+const PLACEMENT_RULES = {
+  noWater: {
+    label: "No water — needles stay on dry land",
+    check: (at, ctx) => (isWaterPlacement(at.lat, at.lng, ctx.elevation) ? "In the water" : null),
+  },
+  noLandmarks: {
+    label: "No landmarks — keep off MoPOP, Chihuly, the arena and stadiums",
+    check: (at) => {
+      const hit = PROTECTED_LANDMARKS.find(
+        ({ bounds: b }) => at.lat >= b.latMin && at.lat <= b.latMax && at.lng >= b.lngMin && at.lng <= b.lngMax
+      );
+      return hit ? `On ${hit.name}` : null;
+    },
+  },
+  cityLimits: {
+    label: "City limits — only inside Seattle",
+    check: (at) => (isInsideCityLimits(at.lat, at.lng) ? null : "Outside Seattle city limits"),
+  },
+  minDistance: {
+    label: "Minimum distance from Space Needle #1",
+    check: (at, ctx) =>
+      distanceMeters(at, ORIGINAL_NEEDLE_POSITION) < ctx.minDistanceFt * METERS_PER_FOOT
+        ? `Within ${ctx.minDistanceFt.toLocaleString()} ft of Space Needle #1`
+        : null,
+  },
+};
+
+/**
+ * The single check for a candidate spot: active placement rules first, then footprint overlap.
+ * Returns { overlapIds, refusal }; refusal is { rule, reason } or null. Overlap only refuses under the "block" policy.
+ */
+function checkPlacementCandidate(at, { placements, excludeId = null, radiusM, settings, elevation = null }) {
+  const overlapIds = findOverlappingNeedles(at, placements, excludeId, radiusM);
+  const ctx = { elevation, minDistanceFt: settings.minDistanceFt };
+  for (const rule of settings.placementRules) {
+    const reason = PLACEMENT_RULES[rule]?.check(at, ctx);
+    if (reason) return { overlapIds, refusal: { rule, reason } };
+  }
+  if (overlapIds.length > 0 && settings.overlapPolicy === "block") {
+    const numbers = overlapIds.map((id) => `#${needleNumberFor(id, placements)}`).join(", ");
+    return { overlapIds, refusal: { rule: "overlap", reason: `Too close: overlaps Space Needle ${numbers}` } };
+  }
+  return { overlapIds, refusal: null };
+}
+
+/**
+ * Check a pattern batch against the layout and against its own earlier points.
+ * Returns [{ at, overlaps, refusal }]; refused points are skipped on commit.
+ */
+function screenPatternPoints(points, placements, towerType, settings) {
+  const radiusM = footprintRadiusOf({ towerType });
+  const accepted = [];
+  return points.map((at, i) => {
+    const { overlapIds, refusal } = checkPlacementCandidate(at, { placements: [...placements, ...accepted], radiusM, settings });
+    if (!refusal) accepted.push({ id: -(i + 1), lat: at.lat, lng: at.lng, towerType });
+    return { at, overlaps: overlapIds.length > 0, refusal };
+  });
+}
+
+const OVERLAP_POLICY_LABELS = {
+  block: "Block — refuse drops that overlap another footprint",
+  warn: "Warn — allow, and count each needle's land in full",
+  share: "Share — allow, and split land cost where footprints overlap",
+};
+
+function formatCurrency(n) {
+  if (n >= 1e9) return `$${(n / 1e9).toFixed(1)}B`;
+  if (n >= 1e6) return `$${(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `$${(n / 1e3).toFixed(0)}K`;
+  return `$${n.toFixed(0)}`;
+}
+
+/** Whole people/households/jobs: "1,240". */
+function formatCount(n) {
+  return Math.round(n).toLocaleString();
+}
+
+/** Signed currency for NPV: "−$1.2B" when negative. */
+function formatSignedCurrency(n) {
+  return n < 0 ? `−${formatCurrency(-n)}` : formatCurrency(n);
+}
+
+function formatPaybackYears(years) {
+  if (!Number.isFinite(years)) return "Never";
+  return years < 10 ? `${years.toFixed(1)} yrs` : `${Math.round(years)} yrs`;
+}
+
+/** IRR as a percent; "—" when undefined (no revenue). */
+function formatIrr(irr) {
+  return irr == null ? "—" : `${(irr * 100).toFixed(irr * 100 < 10 ? 1 : 0)}%`;
+}
+
+/** Format as $X.XB/yr for tourism revenue. */
+function formatCurrencyPerYear(n) {
+  if (n >= 1e9) return `$${(n / 1e9).toFixed(1)}B/yr`;
+  if (n >= 1e6) return `$${(n / 1e6).toFixed(1)}M/yr`;
+  if (n >= 1e3) return `$${(n / 1e3).toFixed(1)}K/yr`;
+  return `$${n.toFixed(1)}/yr`;
+}
+
+function formatRate(ratePerSqFt) {
+  return `$${Math.round(ratePerSqFt)}/sqft`;
+}
+
+/** Format lat/lng with degree symbol and N/S, E/W. Optional separator (default ", "; use " · " for postcard style). */
+function formatLatLngDirectional(lat, lng, separator = ", ") {
+  const la = Number(lat);
+  const lo = Number(lng);
+  const latDir = la >= 0 ? "N" : "S";
+  const lngDir = lo >= 0 ? "E" : "W";
+  const latStr = `${Math.abs(la).toFixed(5)}° ${latDir}`;
+  const lngStr = `${Math.abs(lo).toFixed(5)}° ${lngDir}`;
+  return `${latStr}${separator}${lngStr}`;
+}
+
+const LAT_LNG_INPUT_RE =
+  /^\s*(-?\d+(?:\.\d+)?)\s*°?\s*([NS])?\s*(?:[,;·]\s*|\s+)(-?\d+(?:\.\d+)?)\s*°?\s*([EW])?\s*$/i;
+
+/**
+ * Parse a typed location: decimal "47.6205, -122.3493", directional "47.62050° N, 122.34930° W"
+ * (what formatLatLngDirectional emits), or a ZONES name. Returns { at, label } or { error }.
+ */
+function parseLocationInput(text) {
+  const query = String(text ?? "").trim();
+  if (!query) return { error: "Type coordinates or a neighborhood name." };
+  const m = query.match(LAT_LNG_INPUT_RE);
+  if (m) {
+    let lat = Number(m[1]);
+    let lng = Number(m[3]);
+    if (m[2]) lat = Math.abs(lat) * (m[2].toUpperCase() === "S" ? -1 : 1);
+    if (m[4]) lng = Math.abs(lng) * (m[4].toUpperCase() === "W" ? -1 : 1);
+    const b = SHARE_LINK_BOUNDS;
+    if (!(lat >= b.latMin && lat <= b.latMax && lng >= b.lngMin && lng <= b.lngMax)) {
+      return { error: `${formatLatLngDirectional(lat, lng)} is outside the map area.` };
+    }
+    return { at: { lat, lng }, label: formatLatLngDirectional(lat, lng) };
+  }
+  const q = query.toLowerCase();
+  const zone = ZONES.find((z) => z.name.toLowerCase() === q || z.id === q) ?? ZONES.find((z) => z.name.toLowerCase().startsWith(q));
+  if (zone) return { at: { lat: zone.center.lat, lng: zone.center.lng }, label: zone.name };
+  return { error: `No neighborhood or coordinates match "${query}".` };
+}
+
+/** Mobile-only: compact coords as lat, lng (no N/W). */
+function formatLatLngMobile(lat, lng) {
+  return `${Number(lat).toFixed(5)}, ${Number(lng).toFixed(5)}`;
+}
+
+function formatCoordLabel(lat, lng) {
+  const latDir = lat >= 0 ? "N" : "S";
+  const lngDir = lng >= 0 ? "E" : "W";
+  return `${Math.abs(Number(lat)).toFixed(5)}° ${latDir}, ${Math.abs(Number(lng)).toFixed(5)}° ${lngDir}`;
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.onload = () => resolve(img);
+    img.onerror = reject;
+    img.src = src;
+  });
+}
+
+/** Simple UA check for iOS (iPhone, iPad) so we can offer long-press save instead of forced download. */
+function isIosSafari() {
+  if (typeof navigator === "undefined") return false;
+  const ua = navigator.userAgent;
+  return /iPad|iPhone|iPod/.test(ua) || (navigator.platform === "MacIntel" && navigator.maxTouchPoints > 1);
+}
+
+/** Build postcard JPG and return data URL (for download or iOS save flow). */
+async function generatePostcardJpgDataUrl(polaroid) {
+  if (!polaroid?.dataUrl) return null;
+
+  const [img, logoImg] = await Promise.all([
+    loadImage(polaroid.dataUrl),
+    loadImage("/eg_logo_postcard.png").catch(() => null),
+  ]);
+
+  const W = 1600;
+  const H = 1200;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = W;
+  canvas.height = H;
+  const ctx = canvas.getContext("2d");
+
+  const bg = "#f6f4ef";
+  const white = "#ffffff";
+  const ink = "#111111";
+  const muted = "rgba(17,17,17,0.75)";
+
+  const margin = 70;
+  const infoBlockH = 256;
+  const framePad = 24;
+
+  const frameX = margin;
+  const frameY = margin;
+  const frameW = W - margin * 2;
+  const frameH = H - margin * 2 - infoBlockH;
+
+  const photoX = frameX + framePad;
+  const photoY = frameY + framePad;
+  const photoW = frameW - framePad * 2;
+  const photoH = frameH - framePad * 2;
+
+  ctx.fillStyle = bg;
+  ctx.fillRect(0, 0, W, H);
+
+  ctx.fillStyle = white;
+  ctx.fillRect(frameX, frameY, frameW, frameH);
+
+  const imgAR = img.width / img.height;
+  const boxAR = photoW / photoH;
+
+  let sx = 0; let sy = 0; let sw = img.width; let sh = img.height;
+
+  if (imgAR > boxAR) {
+    sh = img.height;
+    sw = sh * boxAR;
+    sx = (img.width - sw) / 2;
+    sy = 0;
+  } else {
+    sw = img.width;
+    sh = sw / boxAR;
+    sx = 0;
+    sy = (img.height - sh) / 2;
+  }
+
+  ctx.drawImage(img, sx, sy, sw, sh, photoX, photoY, photoW, photoH);
+
+  const blockX = margin;
+  const blockY = frameY + frameH;
+  const blockW = frameW;
+  const blockH = infoBlockH;
+
+  ctx.fillStyle = white;
+  ctx.fillRect(blockX, blockY, blockW, blockH);
+
+  const coord = formatCoordLabel(polaroid.lat ?? 0, polaroid.lng ?? 0);
+
+  const leftX = blockX + 34;
+  const rightX = blockX + blockW - 34;
+  const topLineY = blockY + 72;
+
+  ctx.fillStyle = ink;
+  ctx.font = "600 34px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial";
+  ctx.textBaseline = "alphabetic";
+  ctx.textAlign = "left";
+  ctx.fillText(polaroidGreeting(polaroid), leftX, topLineY);
+
+  ctx.fillStyle = muted;
+  ctx.font = "500 26px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial";
+  ctx.fillText(coord, leftX, topLineY + 40);
+
+  if (polaroid.needleNote) {
+    // Note line stops short of the logo column; long notes are cut with an ellipsis.
+    ctx.font = "italic 500 22px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial";
+    const maxW = blockW * 0.62;
+    let note = polaroid.needleNote;
+    if (ctx.measureText(note).width > maxW) {
+      while (note.length > 1 && ctx.measureText(`${note}…`).width > maxW) note = note.slice(0, -1);
+      note = `${note.trimEnd()}…`;
+    }
+    ctx.fillText(note, leftX, topLineY + 76);
+  }
+
+  const costLine = polaroidCostLine(polaroid);
+  if (costLine) {
+    ctx.font = "500 20px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial";
+    ctx.fillText(costLine, leftX, topLineY + 110, blockW * 0.62);
+  }
+
+  ctx.fillStyle = ink;
+  ctx.font = "600 24px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial";
+  ctx.fillText("twospaceneedles.org | @twospaceneedles", leftX, blockY + blockH - 44);
 
   ctx.textAlign = "right";
   const logoAreaTop = blockY + 18;
@@ -844,6 +1842,18 @@ async function generatePostcardJpgDataUrl(polaroid) {
   return canvas.toDataURL("image/jpeg", 0.92);
 }
 
+/** Hand a generated file to the browser as a download. */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
 async function downloadPostcardJpg(polaroid) {
   const jpgUrl = await generatePostcardJpgDataUrl(polaroid);
   if (!jpgUrl) return;
@@ -1403,14 +2413,15 @@ function generatePlaceholderPolaroid(metadata, width = 1200, height = 900) {
       else if (detail === "simplified") countSimplified++;
       else countSilhouette++;
       const needleMesh = makeNeedleMesh(detail, color);
+      const heightScale = entry.heightScale ?? 1;
       if (i === 0) {
         needleMesh.position.set(0, 0, 0);
-        needleMesh.scale.setScalar(1);
+        needleMesh.scale.setScalar(heightScale);
       } else {
         const distScaled = Math.min(maxScaledDist, distM * scaleDown);
         const br = ((entry.bearingDeg ?? 0) * Math.PI) / 180;
         needleMesh.position.set(Math.sin(br) * distScaled, 0, -Math.cos(br) * distScaled);
-        needleMesh.scale.setScalar(needleScaleFromDistanceM(distM));
+        needleMesh.scale.setScalar(needleScaleFromDistanceM(distM) * heightScale);
       }
       scene.add(needleMesh);
     });
@@ -1645,6 +2656,18 @@ function circleCoordinates(centerLat, centerLng, radiusMeters, numPoints) {
   return coords;
 }
 
+/** Animate the camera to `pose` ({ center, tilt, range, heading }); jumps straight there where flyCameraTo is unavailable. */
+function flyCameraTo(mapEl, pose, durationMillis) {
+  if (typeof mapEl.flyCameraTo === "function") {
+    mapEl.flyCameraTo({ endCamera: pose, durationMillis });
+  } else {
+    mapEl.center = pose.center;
+    mapEl.tilt = pose.tilt;
+    mapEl.range = pose.range;
+    mapEl.heading = pose.heading;
+  }
+}
+
 function ensureMapLoaded() {
   if (!window.__TWO_NEEDLES_MAPS3D_PROMISE__) {
     const opts = {
@@ -1665,14 +2688,36 @@ export default function MapScene() {
   const [mapLibReady, setMapLibReady] = useState(false);
   const [mapSteady, setMapSteady] = useState(false);
   const [mapError, setMapError] = useState(null);
+  /** Neighborhood boundary data: "loading" | "loaded" | "offline" (fetch or parse failed; water bounds only). */
+  const [boundaryStatus, setBoundaryStatus] = useState("loading");
   const [hoverLatLng, setHoverLatLng] = useState(null);
   const [overlayReady, setOverlayReady] = useState(false);
-  const [placements, setPlacements] = useState([]);
+  /** Layout from a share link in the URL hash, read once on boot: { placements, camera } | { error } | null. */
+  const [sharedLayout] = useState(() =>
+    typeof window !== "undefined" ? decodeLayoutHash(window.location.hash, { bounds: SHARE_LINK_BOUNDS }) : null
+  );
+  const [placements, setPlacements] = useState(
+    () =>
+      // id = serial - 1, the same pairing createPlacement keeps for new needles, so the sender's numbers survive.
+      // Priced under the defaults until the economics file loads; the reprice effect catches them up.
+      sharedLayout?.placements?.map((at, i) => ({
+        ...createPlacement(
+          DEFAULT_ECONOMICS,
+          (at.serial ?? i + 2) - 1,
+          at,
+          at.towerType in TOWER_TYPES ? at.towerType : DEFAULT_TOWER_TYPE
+        ),
+        heading: at.heading ?? 0,
+        heightScale: at.heightScale ?? 1,
+        name: at.name ?? null,
+        note: at.note ?? null,
+      })) ?? []
+  );
   const { sfxEnabled, isUnlockingRef, openAudioModal, registerUnlockSfxCallback, registerOpenCreditsCallback, registerPlayShootingSoundCallback } = useAudio();
   const isMobileView =
     typeof window !== "undefined" &&
     (window.matchMedia("(pointer: coarse)").matches || "ontouchstart" in window);
-  const [isPlacing, setIsPlacing] = useState(true);
+  const [isPlacing, setIsPlacing] = useState(() => !sharedLayout?.placements?.length);
   const [isPlacingDragActive, setIsPlacingDragActive] = useState(false);
   const [pointerOverMap, setPointerOverMap] = useState(false);
   const [hoveredNeedleId, setHoveredNeedleId] = useState(null);
@@ -1696,6 +2741,55 @@ export default function MapScene() {
   const [batteryWarning, setBatteryWarning] = useState(false);
   const [batteryBlackout, setBatteryBlackout] = useState(false);
   const [asciiNeedle, setAsciiNeedle] = useState(false);
+  /**
+   * Saved layout from a previous visit, held until the user answers the restore prompt. A share link is shown
+   * straight away, but the saved layout is only replaced once the visitor chooses the shared one.
+   */
+  const [restorePrompt, setRestorePrompt] = useState(() => {
+    const saved = loadSavedLayout();
+    return saved?.placements.length ? saved : null;
+  });
+  /** Short-lived status line over the map (link copied, link refused, …). */
+  const [notice, setNotice] = useState(() =>
+    sharedLayout?.error ? `Couldn't open the shared layout: ${sharedLayout.error}.` : null
+  );
+  const [shareIncludesCamera, setShareIncludesCamera] = useState(true);
+  const [settings, setSettings] = useState(loadSettings);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [isOperator] = useState(
+    () => typeof window !== "undefined" && new URLSearchParams(window.location.search).has(OPERATOR_PARAM)
+  );
+  /** Economics config in effect: { economics, problems, source: "file" | "defaults" | "edited" }; null until the file is tried. */
+  const [economicsConfig, setEconomicsConfig] = useState(null);
+  /** Economics editor draft (config shape; a field being typed may be ""). Null while the editor is closed. */
+  const [economicsDraft, setEconomicsDraft] = useState(null);
+  /** Tower type for the next drop (TOWER_TYPES key). A move keeps the needle's own type. */
+  const [towerType, setTowerType] = useState(DEFAULT_TOWER_TYPE);
+  const [gotoQuery, setGotoQuery] = useState("");
+  const gotoTimeoutRef = useRef(null);
+  /** Name/note dialog for one placement: { id, name, note } while open. */
+  const [labelEditor, setLabelEditor] = useState(null);
+  /** Active drag-to-move, for the panel's live land delta: { id, fromLandValue }. */
+  const [dragMove, setDragMove] = useState(null);
+  const [inventoryOpen, setInventoryOpen] = useState(false);
+  /** Total Cost drill-down under the stats panel. */
+  const [costBreakdownOpen, setCostBreakdownOpen] = useState(false);
+  /** Inventory sort: column key and direction (1 ascending, -1 descending). */
+  const [inventorySort, setInventorySort] = useState({ key: "number", dir: 1 });
+  const flyToNeedleTimeoutRef = useRef(null);
+  const [patternOpen, setPatternOpen] = useState(false);
+  const [pattern, setPattern] = useState({ shape: "ring", count: 8, spacingM: 400, bearingDeg: 0, center: null });
+  const [patternCenterQuery, setPatternCenterQuery] = useState("");
+  /** Multi-select (shift-click / shift-drag lasso): placement ids. Ids no longer in the layout are ignored. */
+  const [selectedIds, setSelectedIds] = useState([]);
+  /** True while the selection is waiting for a click that sets its new centroid. */
+  const [groupMoving, setGroupMoving] = useState(false);
+  /** Lasso being drawn, as wrapper-local points; null when idle. */
+  const [lasso, setLasso] = useState(null);
+  const overlapPolicy = settings.overlapPolicy;
+  /** Undo/redo of layout changes; each command is { label, before, after } placement snapshots. */
+  const [history] = useState(() => createCommandHistory(HISTORY_LIMIT));
+  const [, setHistoryVersion] = useState(0);
   const [isMobilePanel, setIsMobilePanel] = useState(
     () => (typeof window !== "undefined" ? window.matchMedia("(max-width: 640px)").matches : false)
   );
@@ -1715,17 +2809,42 @@ export default function MapScene() {
 
   const needleAnchorsRef = useRef(new Map());
 
-  const totalNeedles = 1 + placements.length;
+  const economics = economicsConfig?.economics ?? DEFAULT_ECONOMICS;
+  const totals = useMemo(() => computeLayoutTotals(economics, placements, settings), [economics, placements, settings]);
+  const layoutFinance = useMemo(() => computeLayoutFinance(totals, settings), [totals, settings]);
+  /** Per-placement figures shown outside the totals (land, rate, build cost) go through the same dollars. */
+  const dollars = useMemo(() => dollarFactors(settings), [settings]);
+  /** Economics editor preview: the draft validated, and the current layout re-totalled under it. */
+  const economicsPreview = useMemo(() => {
+    if (!economicsDraft) return null;
+    const { economics: draft, problems } = validateEconomics(economicsDraft);
+    const previewTotals = computeLayoutTotals(
+      draft,
+      placements.map((p) => repricePlacement(draft, p)),
+      settings
+    );
+    return { economics: draft, problems, totals: previewTotals };
+  }, [economicsDraft, placements, settings]);
+  const totalNeedles = totals.needles;
   const countUpNeedles = useCountUp(totalNeedles);
-  const countUpAcres = useCountUp(0.33 + placements.length * NEEDLE_PARCEL_ACRES);
-  const countUpCost = useCountUp(
-    4_500_000 + placements.length * NEEDLE_BUILD_COST + placements.reduce((sum, p) => sum + (p.landValue ?? 0), 0)
-  );
-  const totalTourismRevenue = placements.reduce(
-    (sum, p) => sum + (p.tourismRevenue ?? computeTourismRevenue(p.lat, p.lng)),
-    0
-  );
-  const countUpRevenue = useCountUp(totalTourismRevenue);
+  /** Per-placement shared land fraction (id → 0..1); empty unless the overlap policy is "share". */
+  const landShares = totals.shares;
+  const patternPoints = useMemo(() => (patternOpen ? generatePatternPoints(pattern) : []), [patternOpen, pattern]);
+  const countUpAcres = useCountUp(totals.acres);
+  const countUpCost = useCountUp(totals.cost);
+  const countUpRevenue = useCountUp(totals.revenue);
+  /**
+   * What dropping (or finishing the move) at the hover point would do to the civic totals, overlap sharing with its
+   * neighbours, saturation and escalation included. Incremental on the memoized `totals` (see computeMarginalTotals).
+   */
+  const marginalTotals = useMemo(() => {
+    if (!isPlacing || !hoverLatLng) return null;
+    const moving = movingNeedleId != null ? placements.find((p) => p.id === movingNeedleId) : null;
+    const candidate = moving
+      ? revaluePlacement(economics, moving, hoverLatLng)
+      : createPlacement(economics, -1, hoverLatLng, towerType);
+    return computeMarginalTotals(economics, placements, totals, candidate, settings);
+  }, [isPlacing, hoverLatLng, placements, movingNeedleId, towerType, settings, totals, economics]);
 
   const mapRef = useRef(null);
   const placementsRef = useRef([]);
@@ -1752,12 +2871,23 @@ export default function MapScene() {
   const shootingSoundRef = useRef(null);
   const placementCountRef = useRef(0);
   const modelClassRef = useRef(null);
+  const polygonClassRef = useRef(null);
+  /** Pattern tool preview footprints currently on the map. */
+  const patternPreviewRef = useRef([]);
   const placedModelsRef = useRef(new Map());
-  const nextPlacementIdRef = useRef(1);
+  const nextPlacementIdRef = useRef(placements.reduce((m, p) => Math.max(m, p.id), 0) + 1);
   const hoverLatLngRef = useRef(null);
   const lastPreviewLatLngRef = useRef(null);
   const activePlacementPointerIdRef = useRef(null);
   const placementCommittedByPointerRef = useRef(false);
+  /** Drag-to-move in progress: { id, pointerId, startX, startY, active }. Pending until the pointer passes the threshold. */
+  const dragMoveRef = useRef(null);
+  /** Lasso in progress: { pointerId, points }. */
+  const lassoRef = useRef(null);
+  /** Pontoon decks under floating-platform needles, keyed by placement id. */
+  const platformDecksRef = useRef(new Map());
+  /** Selection footprints on the map, keyed by placement id. */
+  const selectionHighlightsRef = useRef(new Map());
   const isPlacingDragActiveRef = useRef(false);
   const hoveredNeedleIdRef = useRef(null);
   const mobileMenuDwellTimerRef = useRef(null);
@@ -1768,6 +2898,18 @@ export default function MapScene() {
     hoveredNeedleIdRef.current = hoveredNeedleId;
   }, [hoveredNeedleId]);
 
+  // Drop the share hash once read so a reload shows the autosaved layout, not the original link.
+  useEffect(() => {
+    if (!sharedLayout) return;
+    window.history.replaceState(null, "", `${window.location.pathname}${window.location.search}`);
+  }, [sharedLayout]);
+
+  useEffect(() => {
+    if (!notice) return;
+    const t = window.setTimeout(() => setNotice(null), 5000);
+    return () => window.clearTimeout(t);
+  }, [notice]);
+
   useEffect(() => {
     ensureMapLoaded()
       .then(() => setMapLibReady(true))
@@ -1777,26 +2919,54 @@ export default function MapScene() {
       });
   }, []);
 
-  // Authoritative land/water: load Seattle neighborhood boundaries (land = crunch; water = not in any neighborhood)
+  // Authoritative land/water and valuation: load Seattle neighborhood boundaries (land = crunch; water = not in any
+  // neighborhood; each polygon carries a land rate)
   useEffect(() => {
     fetch(SEATTLE_NEIGHBORHOODS_GEOJSON_URL)
-      .then((r) => r.json())
+      .then((r) => {
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        return r.json();
+      })
       .then((fc) => {
-        seattleNeighborhoodPolygons = extractPolygonsFromGeoJSON(fc);
+        const features = extractNeighborhoodFeatures(fc);
+        if (features.length === 0) throw new Error("no neighborhood polygons in GeoJSON");
+        seattleNeighborhoodIndex = buildNeighborhoodIndex(features);
+        seattleNeighborhoodFeatures = features;
+        setBoundaryStatus("loaded");
       })
-      .catch((err) => console.warn("Seattle neighborhoods GeoJSON load failed, using water bounds only:", err));
+      .catch((err) => {
+        console.warn("Seattle neighborhoods GeoJSON load failed, using water bounds only:", err);
+        setBoundaryStatus("offline");
+      });
   }, []);
 
+  useEffect(() => {
+    loadEconomicsConfig().then((config) => {
+      if (config.problems.length > 0) console.warn("Economics config:", config.problems);
+      setEconomicsConfig(config);
+    });
+  }, []);
+
+  // Stored prices came from whatever economics and boundaries were in effect when each needle was priced. Once both
+  // have settled (and whenever the editor applies new numbers), reprice so every figure matches this exhibit's config.
+  useEffect(() => {
+    if (!economicsConfig || boundaryStatus === "loading") return;
+    const repriced = placementsRef.current.map((p) => repricePlacement(economics, p));
+    placementsRef.current = repriced;
+    setPlacements(repriced);
+  }, [economicsConfig, economics, boundaryStatus]);
+
   useEffect(() => {
     if (!mapLibReady || !mapRef.current) return;
 
     const el = mapRef.current;
 
-    // Core camera: oblique view with Belltown/water behind needle, Seattle Center in front
-    el.center = SEATTLE_CENTER;
-    el.tilt = DEFAULT_TILT;
-    el.heading = DEFAULT_HEADING;
-    el.range = DEFAULT_RANGE;
+    // Core camera: oblique view with Belltown/water behind needle, Seattle Center in front (or the pose from a share link)
+    const sharedCamera = sharedLayout?.camera;
+    el.center = sharedCamera ? { lat: sharedCamera.lat, lng: sharedCamera.lng, altitude: 0 } : SEATTLE_CENTER;
+    el.tilt = sharedCamera?.tilt ?? DEFAULT_TILT;
+    el.heading = sharedCamera?.heading ?? DEFAULT_HEADING;
+    el.range = sharedCamera?.range ?? DEFAULT_RANGE;
 
     // Required for 3D to render reliably
     el.mode = "HYBRID";
@@ -1829,7 +2999,7 @@ export default function MapScene() {
       el.removeEventListener("gmp-steadystate", onSteady);
       el.removeEventListener("gmp-steadychange", onSteady);
     };
-  }, [mapLibReady]);
+  }, [mapLibReady, sharedLayout]);
 
   // Create ghost model, footprint polygon, and permanent original needle once map is steady (Model3DElement / Polygon3DElement from maps3d).
   useEffect(() => {
@@ -1872,6 +3042,7 @@ export default function MapScene() {
           console.warn("Model3DElement not in maps3d library (try v=alpha). Ghost model disabled.");
         }
         if (Polygon3DElement) {
+          polygonClassRef.current = Polygon3DElement;
           const footprint = new Polygon3DElement({
             path: circleCoordinates(
               SEATTLE_CENTER.lat,
@@ -1879,8 +3050,7 @@ export default function MapScene() {
               FOOTPRINT_RADIUS_M,
               CIRCLE_POINTS
             ),
-            fillColor: "rgba(124, 179, 66, 0.25)",
-            strokeColor: "rgba(85, 139, 47, 0.8)",
+            ...FOOTPRINT_COLORS.ok,
             strokeWidth: 2,
             altitudeMode: "RELATIVE_TO_GROUND",
           });
@@ -1895,9 +3065,7 @@ export default function MapScene() {
           hintGlowRef.current = hintGlow;
           const footprintHighlight = new Polygon3DElement({
             path: circleCoordinates(SEATTLE_CENTER.lat, SEATTLE_CENTER.lng, FOOTPRINT_RADIUS_M, CIRCLE_POINTS),
-            fillColor: "rgba(124, 179, 66, 0.45)",
-            strokeColor: "rgba(85, 139, 47, 1)",
-            strokeWidth: 3,
+            ...FOOTPRINT_HIGHLIGHT_STYLE,
             altitudeMode: "RELATIVE_TO_GROUND",
           });
           footprintHighlightRef.current = footprintHighlight;
@@ -1944,7 +3112,7 @@ export default function MapScene() {
         lastPreviewLatLngRef.current = pos;
         e.preventDefault();
       }
-      if (!isPlacing && !movingNeedleId && !visitMode) {
+      if (!isPlacing && !movingNeedleId && !visitMode && !groupMoving) {
         if (overMenu) {
           /* keep current hoveredNeedleId so menu stays open while pointer is on menu */
         } else if (pos) {
@@ -1953,12 +3121,12 @@ export default function MapScene() {
           const nearest = list.reduce(
             (best, p) => {
               const d = distanceMeters(pos, { lat: p.lat, lng: p.lng });
-              return d < best.d ? { id: p.id, d } : best;
+              return d < best.d ? { id: p.id, d, r: footprintRadiusOf(p) } : best;
             },
-            { id: null, d: Infinity }
+            { id: null, d: Infinity, r: 0 }
           );
           const inOriginal = distToOriginal < FOOTPRINT_RADIUS_M;
-          const inNearest = nearest.id != null && nearest.d < FOOTPRINT_RADIUS_M;
+          const inNearest = nearest.id != null && nearest.d < nearest.r;
           const originalCloser = inOriginal && (!inNearest || distToOriginal <= nearest.d);
           if (originalCloser) {
             if (isMobileView) {
@@ -2006,13 +3174,13 @@ export default function MapScene() {
             const nearest = list.reduce(
               (best, p) => {
                 const d = distanceMeters(pos, { lat: p.lat, lng: p.lng });
-                return d < best.d ? { id: p.id, d } : best;
+                return d < best.d ? { id: p.id, d, r: footprintRadiusOf(p) } : best;
               },
-              { id: null, d: Infinity }
+              { id: null, d: Infinity, r: 0 }
             );
-            if (inOriginal && (!nearest.id || nearest.d >= FOOTPRINT_RADIUS_M || distToOriginal <= nearest.d)) {
+            if (inOriginal && (!nearest.id || nearest.d >= nearest.r || distToOriginal <= nearest.d)) {
               setHintNeedleId(ORIGINAL_NEEDLE_ID);
-            } else if (nearest.id != null && nearest.d < FOOTPRINT_RADIUS_M) {
+            } else if (nearest.id != null && nearest.d < nearest.r) {
               const currentHintId = hintNeedleId;
               if (currentHintId == null) {
                 setHintNeedleId(nearest.id);
@@ -2050,7 +3218,7 @@ export default function MapScene() {
       wrapper.removeEventListener("pointermove", onPointerMove);
       wrapper.removeEventListener("pointerleave", onPointerLeave);
     };
-  }, [overlayReady, isPlacing, movingNeedleId, visitMode, hoveredNeedleId, hintNeedleId]);
+  }, [overlayReady, isPlacing, movingNeedleId, visitMode, groupMoving, hoveredNeedleId, hintNeedleId]);
 
   // Compute hint circle position in layout effect (and on camera/size change) so it never wavers on hover.
   const syncHintPosition = useCallback(() => {
@@ -2162,6 +3330,20 @@ export default function MapScene() {
     setMenuAnchorXY(hoveredNeedleId != null ? needleAnchorsRef.current.get(hoveredNeedleId) ?? null : null);
   }, [hoveredNeedleId]);
 
+  useEffect(() => {
+    if (!economicsDraft) return;
+    const onKey = (e) => { if (e.key === "Escape") setEconomicsDraft(null); };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [economicsDraft]);
+
+  useEffect(() => {
+    if (!settingsOpen) return;
+    const onKey = (e) => { if (e.key === "Escape") setSettingsOpen(false); };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [settingsOpen]);
+
   useEffect(() => {
     if (!creditsOpen) return;
     const onKey = (e) => { if (e.key === "Escape") setCreditsOpen(false); };
@@ -2193,12 +3375,55 @@ export default function MapScene() {
       .catch(() => {});
   }, [mapSteady]);
 
+  /** Landmark-aware drop sound for a needle landing at `at`: stadiums, arena, glass museums, water, else crunch. */
+  const dropSoundElementFor = useCallback((at, isWater) => {
+    if (isOnUWCampusOrStadiums(at.lat, at.lng)) return dogBarkAudioRef.current;
+    if (isAtLumenField(at.lat, at.lng)) return crowdStompAudioRef.current;
+    if (isAtTMobileParkOrAdjacent(at.lat, at.lng)) return baseballOrganAudioRef.current;
+    if (isAtClimatePledgeArena(at.lat, at.lng)) return airHornAudioRef.current;
+    if (isAtMoPop(at.lat, at.lng) || isAtChihuly(at.lat, at.lng) || isAtPacificScienceCenter(at.lat, at.lng)) {
+      return glassSmashAudioRef.current;
+    }
+    return isWater ? splashAudioRef.current : crunchAudioRef.current;
+  }, []);
+
+  /** Replace the layout and record the change for undo. All place/move/remove/erase paths go through here. */
+  const commitLayoutChange = useCallback(
+    (label, after) => {
+      history.push({ label, before: placementsRef.current, after });
+      placementsRef.current = after;
+      setPlacements(after);
+      setHistoryVersion((v) => v + 1);
+    },
+    [history]
+  );
+
+  /** Refuse a drop that fails an active placement rule or (under "block") overlaps another footprint; explains why in the notice. */
+  const isRefusedPlacement = useCallback(
+    (at, excludeId = null, elevation = null) => {
+      const list = placementsRef.current;
+      const subject = excludeId != null ? list.find((p) => p.id === excludeId) : { towerType };
+      const { refusal } = checkPlacementCandidate(at, {
+        placements: list,
+        excludeId,
+        radiusM: footprintRadiusOf(subject),
+        settings,
+        elevation,
+      });
+      if (!refusal) return false;
+      setNotice(`${refusal.reason}. Pick another spot.`);
+      return true;
+    },
+    [settings, towerType]
+  );
+
   // Commit placement at lat/lng (elevation, sfx, setPlacements, exit placement mode). Used by click (desktop) and pointerup (mobile).
   const commitPlacementAt = useCallback(
     async (at) => {
       if (!at) return;
       const newCount = placementCountRef.current + 1;
       const elevation = await getElevationAt(at.lat, at.lng);
+      if (isRefusedPlacement(at, null, elevation)) return;
       const isWater = isWaterPlacement(at.lat, at.lng, elevation);
       const mayPlayDropSound = sfxEnabled && (!isUnlockingRef?.current || newCount === 1);
       const needsPrime = newCount === 1 && isUnlockingRef?.current;
@@ -2220,42 +3445,97 @@ export default function MapScene() {
         }
       };
       if (mayPlayDropSound) {
-        if (isOnUWCampusOrStadiums(at.lat, at.lng)) {
-          playDropSound(dogBarkAudioRef.current);
-        } else if (isAtLumenField(at.lat, at.lng)) {
-          playDropSound(crowdStompAudioRef.current);
-        } else if (isAtTMobileParkOrAdjacent(at.lat, at.lng)) {
-          playDropSound(baseballOrganAudioRef.current);
-        } else if (isAtClimatePledgeArena(at.lat, at.lng)) {
-          playDropSound(airHornAudioRef.current);
-        } else if (isAtMoPop(at.lat, at.lng) || isAtChihuly(at.lat, at.lng) || isAtPacificScienceCenter(at.lat, at.lng)) {
-          playDropSound(glassSmashAudioRef.current);
-        } else if (isWater) {
-          playDropSound(splashAudioRef.current);
-        } else {
-          playDropSound(crunchAudioRef.current);
-        }
+        playDropSound(dropSoundElementFor(at, isWater));
         if (newCount >= 5 && (newCount - 5) % 10 === 0) {
           playDropSound(wilhelmAudioRef.current, 0.2);
         }
       }
-      const valuation = getValuationAtLatLng(at.lat, at.lng);
-      setPlacements((prev) => [
-        ...prev,
-        {
-          id: nextPlacementIdRef.current++,
-          lat: at.lat,
-          lng: at.lng,
-          altitude: at.altitude ?? 0,
-          neighborhoodLabel: valuation.neighborhoodLabel,
-          landValue: valuation.landValue,
-          ratePerSqFt: valuation.ratePerSqFt,
-          tourismRevenue: computeTourismRevenue(at.lat, at.lng),
-        },
-      ]);
+      const placement = createPlacement(economics, nextPlacementIdRef.current++, at, towerType, elevation);
+      commitLayoutChange("Place Needle", [...placementsRef.current, placement]);
+      setIsPlacing(false);
+    },
+    [sfxEnabled, isUnlockingRef, dropSoundElementFor, commitLayoutChange, isRefusedPlacement, towerType, economics]
+  );
+
+  // Commit a move of needle `id` to lat/lng (revalue, landmark drop sound, exit move mode). Used by click, keyboard Enter and drag.
+  // Resolves false when the move was refused (placement rules / overlap policy) and the needle is still in move mode.
+  const commitMoveAt = useCallback(
+    async (id, at) => {
+      if (!at) return false;
+      const elevation = await getElevationAt(at.lat, at.lng);
+      if (isRefusedPlacement(at, id, elevation)) return false;
+      const isWater = isWaterPlacement(at.lat, at.lng, elevation);
+      const dropEl = dropSoundElementFor(at, isWater);
+      if (!isUnlockingRef?.current && sfxEnabled && dropEl) {
+        dropEl.volume = 0.9;
+        dropEl.currentTime = 0;
+        dropEl.play().catch((err) => console.error("audio play failed", err));
+      }
+      commitLayoutChange(
+        "Move Needle",
+        placementsRef.current.map((p) => (p.id === id ? revaluePlacement(economics, p, at, elevation) : p))
+      );
+      setMovingNeedleId(null);
       setIsPlacing(false);
+      return true;
     },
-    [sfxEnabled, isUnlockingRef]
+    [sfxEnabled, isUnlockingRef, dropSoundElementFor, commitLayoutChange, isRefusedPlacement, economics]
+  );
+
+  /**
+   * Group edits are refused as a whole: each needle's new spot is checked (rules + overlap) against the needles
+   * outside the group, so the group never blocks itself. Explains the first refusal in the notice.
+   */
+  const isRefusedGroup = useCallback(
+    (moved) => {
+      const ids = new Set(moved.map((p) => p.id));
+      const others = placementsRef.current.filter((p) => !ids.has(p.id));
+      for (const p of moved) {
+        const { refusal } = checkPlacementCandidate(p, { placements: others, radiusM: footprintRadiusOf(p), settings });
+        if (refusal) {
+          setNotice(`Space Needle #${needleNumberFor(p.id, placementsRef.current)}: ${refusal.reason}. Nothing was moved.`);
+          return true;
+        }
+      }
+      return false;
+    },
+    [settings]
+  );
+
+  /** Swap edited copies of some needles into the layout as one undo step. */
+  const commitGroupChange = useCallback(
+    (label, changed) => {
+      const byId = new Map(changed.map((p) => [p.id, p]));
+      commitLayoutChange(label, placementsRef.current.map((p) => byId.get(p.id) ?? p));
+    },
+    [commitLayoutChange]
+  );
+
+  // Move the selection by one offset so its centroid lands on `at`; needles keep their spacing and are revalued.
+  const commitGroupMoveAt = useCallback(
+    (at) => {
+      const selected = placementsRef.current.filter((p) => selectedIds.includes(p.id));
+      if (!at || selected.length === 0) return false;
+      const center = layoutCentroid(selected);
+      const moved = selected.map((p) =>
+        revaluePlacement(economics, p, {
+          lat: p.lat + at.lat - center.lat,
+          lng: p.lng + at.lng - center.lng,
+          altitude: p.altitude,
+        })
+      );
+      if (isRefusedGroup(moved)) return false;
+      commitGroupChange("Move Needles", moved);
+      const dropEl = dropSoundElementFor(at, isWaterPlacement(at.lat, at.lng, null));
+      if (!isUnlockingRef?.current && sfxEnabled && dropEl) {
+        dropEl.volume = 0.9;
+        dropEl.currentTime = 0;
+        dropEl.play().catch((err) => console.error("audio play failed", err));
+      }
+      setGroupMoving(false);
+      return true;
+    },
+    [selectedIds, isRefusedGroup, commitGroupChange, dropSoundElementFor, isUnlockingRef, sfxEnabled, economics]
   );
 
   // Click to drop: only on map surface when placing or moving. Click-to-open menu when clicking near a needle.
@@ -2278,80 +3558,13 @@ export default function MapScene() {
       const at = atFromClick ?? hoverLatLngRef.current;
       if (!at) return;
 
+      if (groupMoving) {
+        commitGroupMoveAt(at);
+        return;
+      }
+
       if (movingNeedleId != null) {
-        const elevation = await getElevationAt(at.lat, at.lng);
-        const isWater = isWaterPlacement(at.lat, at.lng, elevation);
-        if (!isUnlockingRef?.current && sfxEnabled) {
-          if (isOnUWCampusOrStadiums(at.lat, at.lng)) {
-            const dogEl = dogBarkAudioRef.current;
-            if (dogEl) {
-              dogEl.volume = 0.9;
-              dogEl.currentTime = 0;
-              dogEl.play().catch((err) => console.error("audio play failed", err));
-            }
-          } else if (isAtLumenField(at.lat, at.lng)) {
-            const stompEl = crowdStompAudioRef.current;
-            if (stompEl) {
-              stompEl.volume = 0.9;
-              stompEl.currentTime = 0;
-              stompEl.play().catch((err) => console.error("audio play failed", err));
-            }
-          } else if (isAtTMobileParkOrAdjacent(at.lat, at.lng)) {
-            const organEl = baseballOrganAudioRef.current;
-            if (organEl) {
-              organEl.volume = 0.9;
-              organEl.currentTime = 0;
-              organEl.play().catch((err) => console.error("audio play failed", err));
-            }
-          } else if (isAtClimatePledgeArena(at.lat, at.lng)) {
-            const hornEl = airHornAudioRef.current;
-            if (hornEl) {
-              hornEl.volume = 0.9;
-              hornEl.currentTime = 0;
-              hornEl.play().catch((err) => console.error("audio play failed", err));
-            }
-          } else if (isAtMoPop(at.lat, at.lng) || isAtChihuly(at.lat, at.lng) || isAtPacificScienceCenter(at.lat, at.lng)) {
-            const glassEl = glassSmashAudioRef.current;
-            if (glassEl) {
-              glassEl.volume = 0.9;
-              glassEl.currentTime = 0;
-              glassEl.play().catch((err) => console.error("audio play failed", err));
-            }
-          } else if (isWater) {
-            const splashEl = splashAudioRef.current;
-            if (splashEl) {
-              splashEl.volume = 0.9;
-              splashEl.currentTime = 0;
-              splashEl.play().catch((err) => console.error("audio play failed", err));
-            }
-          } else {
-            const crunchEl = crunchAudioRef.current;
-            if (crunchEl) {
-              crunchEl.volume = 0.9;
-              crunchEl.currentTime = 0;
-              crunchEl.play().catch((err) => console.error("audio play failed", err));
-            }
-          }
-        }
-        const valuation = getValuationAtLatLng(at.lat, at.lng);
-        setPlacements((prev) =>
-          prev.map((p) =>
-            p.id === movingNeedleId
-              ? {
-                  ...p,
-                  lat: at.lat,
-                  lng: at.lng,
-                  altitude: at.altitude ?? 0,
-                  neighborhoodLabel: valuation.neighborhoodLabel,
-                  landValue: valuation.landValue,
-                  ratePerSqFt: valuation.ratePerSqFt,
-                  tourismRevenue: computeTourismRevenue(at.lat, at.lng),
-                }
-              : p
-          )
-        );
-        setMovingNeedleId(null);
-        setIsPlacing(false);
+        await commitMoveAt(movingNeedleId, at);
         return;
       }
 
@@ -2362,25 +3575,33 @@ export default function MapScene() {
           const nearest = placements.reduce(
             (best, p) => {
               const d = distanceMeters(at, { lat: p.lat, lng: p.lng });
-              return d < best.d ? { id: p.id, d } : best;
+              return d < best.d ? { id: p.id, d, r: footprintRadiusOf(p) } : best;
             },
-            { id: null, d: Infinity }
+            { id: null, d: Infinity, r: 0 }
           );
-          if (nearest.id != null && nearest.d < FOOTPRINT_RADIUS_M) needleId = String(nearest.id);
+          if (nearest.id != null && nearest.d < nearest.r) needleId = String(nearest.id);
         }
         if (needleId == null) {
           const distToOriginal = distanceMeters(at, { lat: SEATTLE_CENTER.lat, lng: SEATTLE_CENTER.lng });
           const nearest = placements.reduce(
             (best, p) => {
               const d = distanceMeters(at, { lat: p.lat, lng: p.lng });
-              return d < best.d ? { id: p.id, d } : best;
+              return d < best.d ? { id: p.id, d, r: footprintRadiusOf(p) } : best;
             },
-            { id: null, d: Infinity }
+            { id: null, d: Infinity, r: 0 }
           );
-          if (distToOriginal < FOOTPRINT_RADIUS_M && (nearest.id == null || nearest.d >= FOOTPRINT_RADIUS_M || distToOriginal <= nearest.d)) {
+          if (distToOriginal < FOOTPRINT_RADIUS_M && (nearest.id == null || nearest.d >= nearest.r || distToOriginal <= nearest.d)) {
             needleId = String(ORIGINAL_NEEDLE_ID);
           }
         }
+        if (e.shiftKey) {
+          // Shift-click toggles a placed needle in the selection; the original cannot be selected.
+          const id = Number(needleId);
+          if (needleId != null && id !== ORIGINAL_NEEDLE_ID) {
+            setSelectedIds((ids) => (ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id]));
+          }
+          return;
+        }
         if (needleId != null) {
           const id = Number(needleId);
           const placement = id === ORIGINAL_NEEDLE_ID ? null : placements.find((p) => p.id === id);
@@ -2405,6 +3626,7 @@ export default function MapScene() {
         }
         setHoveredNeedleId(null);
         setMenuAnchorXY(null);
+        setSelectedIds([]);
       }
 
       if (!isPlacing) return;
@@ -2412,7 +3634,17 @@ export default function MapScene() {
     };
     wrapper.addEventListener("click", onClick, true);
     return () => wrapper.removeEventListener("click", onClick, true);
-  }, [overlayReady, isPlacing, movingNeedleId, visitMode, placements, commitPlacementAt]);
+  }, [
+    overlayReady,
+    isPlacing,
+    movingNeedleId,
+    visitMode,
+    placements,
+    commitPlacementAt,
+    commitMoveAt,
+    groupMoving,
+    commitGroupMoveAt,
+  ]);
 
   // Mobile placement: commit on pointerup (finger lift). Desktop unchanged.
   useEffect(() => {
@@ -2488,31 +3720,393 @@ export default function MapScene() {
     };
   }, [overlayReady, isPlacing, commitPlacementAt]);
 
+  // Drag-to-move: press on a placed needle's footprint and drag to move it in place (desktop and touch).
+  // The press is captured before the map sees it, so the camera does not pan; a press without travel stays a click.
+  useEffect(() => {
+    const wrapper = mapWrapperRef.current;
+    const mapEl = mapRef.current;
+    if (!wrapper || !mapEl || !overlayReady) return;
+
+    const onPointerDown = (e) => {
+      if (isPlacing || visitMode || groupMoving || e.shiftKey || dragMoveRef.current || !isPointerOnMapSurface(e)) return;
+      if (e.pointerType === "mouse" && e.button !== 0) return;
+      let pos = wrapperPixelToLatLngWithProjection(mapEl, e.clientX, e.clientY, projectionOverlayRef);
+      if (!pos) pos = pixelToApproxLatLng(mapEl, wrapper.getBoundingClientRect(), e.clientX, e.clientY);
+      if (!pos) return;
+      const hit = placementsRef.current.reduce(
+        (best, p) => {
+          const d = distanceMeters(pos, p);
+          return d < footprintRadiusOf(p) && d < best.d ? { id: p.id, d } : best;
+        },
+        { id: null, d: Infinity }
+      );
+      if (hit.id == null) return;
+      e.stopPropagation();
+      e.preventDefault();
+      try {
+        wrapper.setPointerCapture(e.pointerId);
+      } catch {
+        /* capture is best-effort; the drag still works while the pointer stays over the map */
+      }
+      dragMoveRef.current = { id: hit.id, pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, active: false };
+    };
+
+    const onPointerMove = (e) => {
+      const drag = dragMoveRef.current;
+      if (!drag || drag.active || e.pointerId !== drag.pointerId) return;
+      if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < DRAG_MOVE_THRESHOLD_PX) return;
+      drag.active = true;
+      const placement = placementsRef.current.find((p) => p.id === drag.id);
+      if (mobileMenuDwellTimerRef.current) {
+        clearTimeout(mobileMenuDwellTimerRef.current);
+        mobileMenuDwellTimerRef.current = null;
+      }
+      setHoveredNeedleId(null);
+      setMenuAnchorXY(null);
+      setDragMove({ id: drag.id, fromLandValue: placement?.landValue ?? 0 });
+      setMovingNeedleId(drag.id);
+      setIsPlacing(true);
+      if (!isUnlockingRef?.current && sfxEnabled && moveAudioRef.current) {
+        moveAudioRef.current.volume = 0.5;
+        moveAudioRef.current.currentTime = 0;
+        moveAudioRef.current.play().catch((err) => console.error("move play failed", err));
+      }
+    };
+
+    const endDrag = async (e, commit) => {
+      const drag = dragMoveRef.current;
+      if (!drag || e.pointerId !== drag.pointerId) return;
+      dragMoveRef.current = null;
+      try {
+        wrapper.releasePointerCapture(e.pointerId);
+      } catch {
+        /* already released */
+      }
+      if (!drag.active) return;
+      // The click that follows pointerup must not also drop or open a menu.
+      placementCommittedByPointerRef.current = true;
+      window.setTimeout(() => {
+        placementCommittedByPointerRef.current = false;
+      }, 0);
+      setDragMove(null);
+      const at = hoverLatLngRef.current;
+      const moved = commit && at ? await commitMoveAt(drag.id, at) : false;
+      if (!moved) {
+        setMovingNeedleId(null);
+        setIsPlacing(false);
+      }
+    };
+    const onPointerUp = (e) => endDrag(e, true);
+    const onPointerCancel = (e) => endDrag(e, false);
+
+    wrapper.addEventListener("pointerdown", onPointerDown, { capture: true, passive: false });
+    wrapper.addEventListener("pointermove", onPointerMove);
+    wrapper.addEventListener("pointerup", onPointerUp);
+    wrapper.addEventListener("pointercancel", onPointerCancel);
+    return () => {
+      wrapper.removeEventListener("pointerdown", onPointerDown, { capture: true });
+      wrapper.removeEventListener("pointermove", onPointerMove);
+      wrapper.removeEventListener("pointerup", onPointerUp);
+      wrapper.removeEventListener("pointercancel", onPointerCancel);
+    };
+  }, [overlayReady, isPlacing, visitMode, groupMoving, commitMoveAt, sfxEnabled, isUnlockingRef]);
+
+  // Shift-drag on open map draws a lasso; needles whose centers end up inside join the selection.
+  // Shift-press on a footprint is left alone so the click handler can toggle that one needle.
+  useEffect(() => {
+    const wrapper = mapWrapperRef.current;
+    const mapEl = mapRef.current;
+    if (!wrapper || !mapEl || !overlayReady) return;
+    const toLocal = (e) => {
+      const rect = wrapper.getBoundingClientRect();
+      return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+
+    const onPointerDown = (e) => {
+      if (!e.shiftKey || isPlacing || visitMode || groupMoving || !isPointerOnMapSurface(e)) return;
+      if (e.pointerType === "mouse" && e.button !== 0) return;
+      let pos = wrapperPixelToLatLngWithProjection(mapEl, e.clientX, e.clientY, projectionOverlayRef);
+      if (!pos) pos = pixelToApproxLatLng(mapEl, wrapper.getBoundingClientRect(), e.clientX, e.clientY);
+      if (pos && placementsRef.current.some((p) => distanceMeters(pos, p) < footprintRadiusOf(p))) return;
+      e.stopPropagation();
+      e.preventDefault();
+      try {
+        wrapper.setPointerCapture(e.pointerId);
+      } catch {
+        /* capture is best-effort */
+      }
+      lassoRef.current = { pointerId: e.pointerId, points: [toLocal(e)] };
+      setLasso(lassoRef.current.points);
+    };
+
+    const onPointerMove = (e) => {
+      const drawing = lassoRef.current;
+      if (!drawing || e.pointerId !== drawing.pointerId) return;
+      const pt = toLocal(e);
+      const last = drawing.points[drawing.points.length - 1];
+      if (Math.hypot(pt.x - last.x, pt.y - last.y) < LASSO_MIN_STEP_PX) return;
+      drawing.points = [...drawing.points, pt];
+      setLasso(drawing.points);
+    };
+
+    const endLasso = (e, commit) => {
+      const drawing = lassoRef.current;
+      if (!drawing || e.pointerId !== drawing.pointerId) return;
+      lassoRef.current = null;
+      setLasso(null);
+      try {
+        wrapper.releasePointerCapture(e.pointerId);
+      } catch {
+        /* already released */
+      }
+      // The click that follows pointerup must not clear the selection or drop a needle.
+      placementCommittedByPointerRef.current = true;
+      window.setTimeout(() => {
+        placementCommittedByPointerRef.current = false;
+      }, 0);
+      if (!commit || drawing.points.length < 3) return;
+      const polygon = drawing.points.map(({ x, y }) => [x, y]);
+      const inside = placementsRef.current
+        .filter((p) => {
+          const xy = latLngToWrapperPixelWithProjection(mapEl, wrapper, p, projectionOverlayRef);
+          return xy != null && pointInPolygon(xy.x, xy.y, polygon);
+        })
+        .map((p) => p.id);
+      if (inside.length > 0) setSelectedIds((ids) => [...ids, ...inside.filter((id) => !ids.includes(id))]);
+    };
+    const onPointerUp = (e) => endLasso(e, true);
+    const onPointerCancel = (e) => endLasso(e, false);
+
+    wrapper.addEventListener("pointerdown", onPointerDown, { capture: true, passive: false });
+    wrapper.addEventListener("pointermove", onPointerMove);
+    wrapper.addEventListener("pointerup", onPointerUp);
+    wrapper.addEventListener("pointercancel", onPointerCancel);
+    return () => {
+      wrapper.removeEventListener("pointerdown", onPointerDown, { capture: true });
+      wrapper.removeEventListener("pointermove", onPointerMove);
+      wrapper.removeEventListener("pointerup", onPointerUp);
+      wrapper.removeEventListener("pointercancel", onPointerCancel);
+    };
+  }, [overlayReady, isPlacing, visitMode, groupMoving]);
+
+  // Selected needles get the hover-highlight footprint. While a group move waits for its click, the footprints
+  // follow the pointer and turn red where that spot would be refused.
+  useEffect(() => {
+    const mapEl = mapRef.current;
+    const PolygonClass = polygonClassRef.current;
+    const shown = selectionHighlightsRef.current;
+    if (!mapEl || !PolygonClass || !overlayReady) return;
+    const selected = visitMode ? [] : placements.filter((p) => selectedIds.includes(p.id));
+    const keep = new Set(selected.map((p) => p.id));
+    shown.forEach((el, id) => {
+      if (keep.has(id)) return;
+      el.parentElement?.removeChild(el);
+      shown.delete(id);
+    });
+    if (selected.length === 0) return;
+    const center = layoutCentroid(selected);
+    const preview = groupMoving && hoverLatLng;
+    const others = placements.filter((p) => !keep.has(p.id));
+    for (const p of selected) {
+      const at = preview ? { lat: p.lat + hoverLatLng.lat - center.lat, lng: p.lng + hoverLatLng.lng - center.lng } : p;
+      const radiusM = footprintRadiusOf(p);
+      const refused = preview && checkPlacementCandidate(at, { placements: others, radiusM, settings }).refusal;
+      let el = shown.get(p.id);
+      if (!el) {
+        el = new PolygonClass({ ...FOOTPRINT_HIGHLIGHT_STYLE, altitudeMode: "RELATIVE_TO_GROUND" });
+        shown.set(p.id, el);
+      }
+      const colors = refused ? FOOTPRINT_COLORS.blocked : FOOTPRINT_HIGHLIGHT_STYLE;
+      el.fillColor = colors.fillColor;
+      el.strokeColor = colors.strokeColor;
+      el.path = circleCoordinates(at.lat, at.lng, radiusM, CIRCLE_POINTS);
+      if (!el.parentElement) mapEl.appendChild(el);
+    }
+  }, [placements, selectedIds, groupMoving, hoverLatLng, visitMode, settings, overlayReady]);
+
   // Sync placements to map: one solid Model3DElement per placement (separate from ghost).
+  // Reconciles both ways so undo/redo can add, move or remove models; the needle being moved has no model (the ghost stands in).
+  // Re-runs once the overlay is ready so placements restored before the map loaded get their models.
   useEffect(() => {
     const mapEl = mapRef.current;
     const ModelClass = modelClassRef.current;
-    if (!mapEl || !ModelClass) return;
+    if (!mapEl || !ModelClass || !overlayReady) return;
     const placed = placedModelsRef.current;
+    const keep = new Set(placements.map((p) => p.id).filter((id) => id !== movingNeedleId));
+    placed.forEach((el, id) => {
+      if (keep.has(id)) return;
+      if (el?.parentElement) el.parentElement.removeChild(el);
+      placed.delete(id);
+    });
     for (const p of placements) {
-      if (placed.has(p.id)) continue;
+      if (!keep.has(p.id)) continue;
+      const existing = placed.get(p.id);
+      const poseKey = `${p.heading ?? 0}|${p.heightScale ?? 1}`;
+      if (existing) {
+        const pos = existing.position;
+        if (pos?.lat !== p.lat || pos?.lng !== p.lng) {
+          existing.position = { lat: p.lat, lng: p.lng, altitude: p.altitude ?? 0 };
+        }
+        if (existing.dataset.pose !== poseKey) {
+          const pose = modelPoseFor(p);
+          existing.scale = pose.scale;
+          existing.orientation = pose.orientation;
+          existing.dataset.pose = poseKey;
+        }
+        continue;
+      }
       const el = new ModelClass({
-        src: GHOST_MODEL_SRC,
+        src: towerTypeOf(p).src,
         position: { lat: p.lat, lng: p.lng, altitude: p.altitude ?? 0 },
-        scale: NEEDLE_SCALE,
-        orientation: { tilt: 270 },
+        ...modelPoseFor(p),
       });
       el.dataset.needleId = String(p.id);
+      el.dataset.pose = poseKey;
       placed.set(p.id, el);
       mapEl.appendChild(el);
     }
-  }, [placements]);
+  }, [placements, overlayReady, movingNeedleId]);
+
+  // Pontoon decks under floating-platform needles; reconciled like the models (the needle being moved has none).
+  useEffect(() => {
+    const mapEl = mapRef.current;
+    const PolygonClass = polygonClassRef.current;
+    if (!mapEl || !PolygonClass || !overlayReady) return;
+    const decks = platformDecksRef.current;
+    const platforms = placements.filter((p) => p.isWaterPlatform && p.id !== movingNeedleId);
+    const keep = new Set(platforms.map((p) => p.id));
+    decks.forEach((el, id) => {
+      if (keep.has(id)) return;
+      el.parentElement?.removeChild(el);
+      decks.delete(id);
+    });
+    for (const p of platforms) {
+      let el = decks.get(p.id);
+      if (!el) {
+        el = new PolygonClass({
+          fillColor: PLATFORM_DECK.fillColor,
+          strokeColor: PLATFORM_DECK.strokeColor,
+          strokeWidth: 2,
+          extruded: true,
+          altitudeMode: "RELATIVE_TO_GROUND",
+        });
+        decks.set(p.id, el);
+      }
+      const radiusM = footprintRadiusOf(p) * PLATFORM_DECK.radiusFraction;
+      el.path = circleCoordinates(p.lat, p.lng, radiusM, CIRCLE_POINTS).map((c) => ({ ...c, altitude: PLATFORM_DECK.heightM }));
+      if (!el.parentElement) mapEl.appendChild(el);
+    }
+  }, [placements, overlayReady, movingNeedleId]);
 
   useEffect(() => {
     placementCountRef.current = placements.length;
     placementsRef.current = placements;
   }, [placements]);
 
+  // Autosave after every change. Paused while the restore prompt is open so the previous session is not overwritten.
+  useEffect(() => {
+    if (restorePrompt) return;
+    saveLayout({ placements, nextPlacementId: nextPlacementIdRef.current });
+  }, [placements, restorePrompt]);
+
+  useEffect(() => {
+    saveSettings(settings);
+  }, [settings]);
+
+  const onRestoreSession = () => {
+    if (!restorePrompt) return;
+    nextPlacementIdRef.current = restorePrompt.nextPlacementId;
+    // Saved prices reflect the config and boundaries of the session that saved them.
+    setPlacements(restorePrompt.placements.map((p) => repricePlacement(economics, withValuation(economics, p))));
+    setSelectedIds([]);
+    setIsPlacing(false);
+    setRestorePrompt(null);
+    history.clear();
+    setHistoryVersion((v) => v + 1);
+  };
+
+  // Undo/redo: swap in the snapshot, then replay the matching effect (poof for needles that vanish, drop sound for ones that land).
+  const applyHistoryStep = (direction) => {
+    const command = direction === "undo" ? history.undo() : history.redo();
+    if (!command) return;
+    const from = direction === "undo" ? command.after : command.before;
+    // Snapshots keep the prices they were taken with; the economics may have changed since.
+    const to = (direction === "undo" ? command.before : command.after).map((p) => repricePlacement(economics, p));
+    const fromById = new Map(from.map((p) => [p.id, p]));
+    const toIds = new Set(to.map((p) => p.id));
+    const removed = from.filter((p) => !toIds.has(p.id));
+    const landed = to.filter((p) => {
+      const prev = fromById.get(p.id);
+      return !prev || prev.lat !== p.lat || prev.lng !== p.lng;
+    });
+    const mayPlaySound = !isUnlockingRef?.current && sfxEnabled;
+    if (landed.length > 0) {
+      const at = landed[landed.length - 1];
+      const dropEl = dropSoundElementFor(at, isWaterPlacement(at.lat, at.lng, null));
+      if (mayPlaySound && dropEl) {
+        dropEl.volume = 0.9;
+        dropEl.currentTime = 0;
+        dropEl.play().catch((err) => console.error("audio play failed", err));
+      }
+    } else if (removed.length > 0) {
+      if (mayPlaySound && poofAudioRef.current) {
+        poofAudioRef.current.volume = 0.6;
+        poofAudioRef.current.currentTime = 0;
+        poofAudioRef.current.play().catch((err) => console.error("poof play failed", err));
+      }
+      const mapEl = mapRef.current;
+      const wrapper = mapWrapperRef.current;
+      if (removed.length === 1 && mapEl && wrapper) {
+        const xy = latLngToContainerPixel(mapEl, wrapper.getBoundingClientRect(), removed[0]);
+        if (xy) setPoofAt({ x: xy.x, y: xy.y });
+      }
+    }
+    placementsRef.current = to;
+    setPlacements(to);
+    setHistoryVersion((v) => v + 1);
+    setSelectedIds((ids) => ids.filter((id) => toIds.has(id)));
+    setGroupMoving(false);
+    setMovingNeedleId(null);
+    setHoveredNeedleId(null);
+    setMenuAnchorXY(null);
+    if (panelNeedleId != null && panelNeedleId !== ORIGINAL_NEEDLE_ID && !toIds.has(panelNeedleId)) {
+      setPanelNeedleId(null);
+    }
+    setIsPlacing(to.length === 0);
+  };
+  const onUndo = () => applyHistoryStep("undo");
+  const onRedo = () => applyHistoryStep("redo");
+  const undoCommand = history.peekUndo();
+  const redoCommand = history.peekRedo();
+
+  // Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo. Ignored while typing in a field.
+  const historyKeyHandlerRef = useRef(null);
+  useEffect(() => {
+    historyKeyHandlerRef.current = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const target = e.target;
+      if (target?.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        applyHistoryStep("undo");
+      } else if ((key === "z" && e.shiftKey) || (key === "y" && !e.metaKey)) {
+        e.preventDefault();
+        applyHistoryStep("redo");
+      }
+    };
+  });
+  useEffect(() => {
+    const onKeyDown = (e) => historyKeyHandlerRef.current?.(e);
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  const onDiscardSession = () => {
+    clearSavedLayout();
+    setRestorePrompt(null);
+  };
+
   // Reveal "Place another needle?" 2s after first placement.
   useEffect(() => {
     if (placements.length >= 1 && !showPlaceAnotherButton) {
@@ -2584,32 +4178,48 @@ export default function MapScene() {
     }
   }, [visitMode]);
 
+  /** Rules + overlap check for the spot under the ghost; drives the footprint color and the reason label. */
+  const ghostCheck = useMemo(() => {
+    if (!isPlacing || !hoverLatLng) return null;
+    const candidate = movingNeedleId != null ? placements.find((p) => p.id === movingNeedleId) : { towerType };
+    return checkPlacementCandidate(hoverLatLng, {
+      placements,
+      excludeId: movingNeedleId,
+      radiusM: footprintRadiusOf(candidate),
+      settings,
+    });
+  }, [isPlacing, hoverLatLng, placements, movingNeedleId, towerType, settings]);
+
   // Update ghost position and footprint when hoverLatLng changes; only show when placing (not in visit or move-only).
   useEffect(() => {
     const mapEl = mapRef.current;
     const ghost = ghostModelRef.current;
     const footprint = footprintRef.current;
     if (!mapEl || !footprint) return;
-    const showGhost = isPlacing && hoverLatLng;
+    const showGhost = isPlacing && hoverLatLng && ghostCheck;
     if (showGhost) {
+      const candidate = movingNeedleId != null ? placements.find((p) => p.id === movingNeedleId) : { towerType };
+      const radiusM = footprintRadiusOf(candidate);
+      const colors =
+        FOOTPRINT_COLORS[ghostCheck.refusal ? "blocked" : ghostCheck.overlapIds.length > 0 ? "overlap" : "ok"];
+      footprint.fillColor = colors.fillColor;
+      footprint.strokeColor = colors.strokeColor;
       if (ghost) {
+        const pose = modelPoseFor(candidate);
+        ghost.scale = pose.scale;
+        ghost.orientation = pose.orientation;
         ghost.position = hoverLatLng;
         if (!ghost.parentElement) mapEl.appendChild(ghost);
         ghost.classList?.add?.("needle-model-outlined");
       }
-      footprint.path = circleCoordinates(
-        hoverLatLng.lat,
-        hoverLatLng.lng,
-        FOOTPRINT_RADIUS_M,
-        CIRCLE_POINTS
-      );
+      footprint.path = circleCoordinates(hoverLatLng.lat, hoverLatLng.lng, radiusM, CIRCLE_POINTS);
       if (!footprint.parentElement) mapEl.appendChild(footprint);
     } else {
       ghost?.classList?.remove?.("needle-model-outlined");
       if (ghost?.parentElement) mapEl.removeChild(ghost);
       if (footprint.parentElement) mapEl.removeChild(footprint);
     }
-  }, [isPlacing, hoverLatLng]);
+  }, [isPlacing, hoverLatLng, placements, movingNeedleId, ghostCheck, towerType]);
 
   // Show 3D glow at the needle's exact position when it's the hint target (same node as the needle).
   useEffect(() => {
@@ -2639,7 +4249,7 @@ export default function MapScene() {
     const placement = show && hoveredNeedleId !== ORIGINAL_NEEDLE_ID ? placements.find((p) => p.id === hoveredNeedleId) : null;
     const isOriginalHovered = show && hoveredNeedleId === ORIGINAL_NEEDLE_ID;
     if (placement) {
-      highlight.path = circleCoordinates(placement.lat, placement.lng, FOOTPRINT_RADIUS_M, CIRCLE_POINTS);
+      highlight.path = circleCoordinates(placement.lat, placement.lng, footprintRadiusOf(placement), CIRCLE_POINTS);
       if (!highlight.parentElement) mapEl.appendChild(highlight);
     } else if (isOriginalHovered) {
       highlight.path = circleCoordinates(SEATTLE_CENTER.lat, SEATTLE_CENTER.lng, FOOTPRINT_RADIUS_M, CIRCLE_POINTS);
@@ -2656,7 +4266,8 @@ export default function MapScene() {
     placed.forEach((el, id) => {
       if (!el) return;
       const useHighlight = id === hoveredId;
-      if (el.src !== undefined) el.src = useHighlight ? HIGHLIGHT_MODEL_SRC : GHOST_MODEL_SRC;
+      const placement = placementsRef.current.find((p) => p.id === id);
+      if (el.src !== undefined) el.src = useHighlight ? HIGHLIGHT_MODEL_SRC : towerTypeOf(placement).src;
       if (el?.classList != null) {
         if (useHighlight) el.classList.add("needle-model-outlined");
         else el.classList.remove("needle-model-outlined");
@@ -2751,11 +4362,10 @@ export default function MapScene() {
     const mapEl = mapRef.current;
     const wrapper = mapWrapperRef.current;
     const placement = placements.find((p) => p.id === id);
-    const willHaveNoNeedles = placements.filter((p) => p.id !== id).length === 0;
-    setPlacements((prev) => prev.filter((p) => p.id !== id));
-    const el = placedModelsRef.current.get(id);
-    if (el?.parentElement) el.parentElement.removeChild(el);
-    placedModelsRef.current.delete(id);
+    const remaining = placementsRef.current.filter((p) => p.id !== id);
+    const willHaveNoNeedles = remaining.length === 0;
+    commitLayoutChange("Remove Needle", remaining);
+    setSelectedIds((ids) => ids.filter((x) => x !== id));
     if (placement && mapEl && wrapper) {
       const rect = wrapper.getBoundingClientRect();
       const xy = latLngToContainerPixel(mapEl, rect, { lat: placement.lat, lng: placement.lng });
@@ -2776,9 +4386,6 @@ export default function MapScene() {
       moveAudioRef.current.currentTime = 0;
       moveAudioRef.current.play().catch((err) => console.error("move play failed", err));
     }
-    const el = placedModelsRef.current.get(id);
-    if (el?.parentElement) el.parentElement.removeChild(el);
-    placedModelsRef.current.delete(id);
     setMovingNeedleId(id);
     setIsPlacing(true);
     if (mobileMenuDwellTimerRef.current) {
@@ -2789,6 +4396,306 @@ export default function MapScene() {
     setMenuAnchorXY(null);
   };
 
+  const onRotateNeedle = (id) => {
+    commitLayoutChange(
+      "Rotate Needle",
+      placementsRef.current.map((p) => (p.id === id ? { ...p, heading: ((p.heading ?? 0) + ROTATE_STEP_DEG) % 360 } : p))
+    );
+  };
+
+  // Cycles through HEIGHT_VARIANTS (75% → 100% → 150% → 75%).
+  const onCycleNeedleHeight = (id) => {
+    commitLayoutChange(
+      "Change Height",
+      placementsRef.current.map((p) => {
+        if (p.id !== id) return p;
+        const i = HEIGHT_VARIANTS.indexOf(p.heightScale ?? 1);
+        return { ...p, heightScale: HEIGHT_VARIANTS[(i + 1) % HEIGHT_VARIANTS.length] };
+      })
+    );
+  };
+
+  const onStartGroupMove = () => {
+    if (!isUnlockingRef?.current && sfxEnabled && moveAudioRef.current) {
+      moveAudioRef.current.volume = 0.5;
+      moveAudioRef.current.currentTime = 0;
+      moveAudioRef.current.play().catch((err) => console.error("move play failed", err));
+    }
+    if (mobileMenuDwellTimerRef.current) {
+      clearTimeout(mobileMenuDwellTimerRef.current);
+      mobileMenuDwellTimerRef.current = null;
+    }
+    setHoveredNeedleId(null);
+    setMenuAnchorXY(null);
+    setMovingNeedleId(null);
+    setIsPlacing(false);
+    setGroupMoving(true);
+  };
+
+  // Turn the selection ROTATE_STEP_DEG about its centroid: positions swing round it and each needle turns with them.
+  const onRotateSelection = () => {
+    const selected = placementsRef.current.filter((p) => selectedIds.includes(p.id));
+    if (selected.length === 0) return;
+    const center = layoutCentroid(selected);
+    const rotated = selected.map((p) => ({
+      ...revaluePlacement(economics, p, { ...rotateAboutPoint(p, center, ROTATE_STEP_DEG), altitude: p.altitude }),
+      heading: ((p.heading ?? 0) + ROTATE_STEP_DEG) % 360,
+    }));
+    if (isRefusedGroup(rotated)) return;
+    commitGroupChange("Rotate Needles", rotated);
+  };
+
+  const onDeleteSelection = () => {
+    const remaining = placementsRef.current.filter((p) => !selectedIds.includes(p.id));
+    if (remaining.length === placementsRef.current.length) return;
+    if (!isUnlockingRef?.current && sfxEnabled && poofAudioRef.current) {
+      poofAudioRef.current.volume = 0.6;
+      poofAudioRef.current.currentTime = 0;
+      poofAudioRef.current.play().catch((err) => console.error("poof play failed", err));
+    }
+    commitLayoutChange("Delete Needles", remaining);
+    setSelectedIds([]);
+    setGroupMoving(false);
+    setHoveredNeedleId(null);
+    setMenuAnchorXY(null);
+    if (remaining.length === 0) setIsPlacing(true);
+  };
+
+  const onOpenEconomicsEditor = () => {
+    setSettingsOpen(false);
+    setEconomicsDraft(structuredClone(economicsConfig?.economics ?? DEFAULT_ECONOMICS));
+  };
+
+  const onApplyEconomics = () => {
+    if (!economicsPreview || economicsPreview.problems.length > 0) return;
+    setEconomicsConfig({ economics: economicsPreview.economics, problems: [], source: "edited" });
+    setEconomicsDraft(null);
+    setNotice("Economics applied: needles repriced for this session. Download the JSON to keep it.");
+  };
+
+  /** Save the draft as economics.json; dropped into public/config it becomes this exhibit's numbers. */
+  const onDownloadEconomics = () => {
+    if (!economicsPreview) return;
+    const blob = new Blob([`${JSON.stringify(economicsPreview.economics, null, 2)}\n`], { type: "application/json" });
+    downloadBlob(blob, "economics.json");
+  };
+
+  /** Layout report as CSV: one row per needle (original first), then the layout total. Money is in the panel's dollars. */
+  const onExportReport = () => {
+    const unit = dollarUnitOf(settings);
+    const header = [
+      "Needle",
+      "Name",
+      "Tower",
+      "Neighborhood",
+      "Latitude",
+      "Longitude",
+      `Total cost (${unit})`,
+      `Tourism revenue (${unit}/yr)`,
+      "Payback (yrs)",
+      `NPV @ ${settings.discountRatePct}% (${unit})`,
+      "IRR (%)",
+      "Households displaced",
+      "Jobs displaced",
+      ...COST_ITEMS.map(({ label }) => `${label} (${unit})`),
+    ];
+    const financeCells = (f) => [
+      Math.round(f.cost),
+      Math.round(f.annualRevenue),
+      Number.isFinite(f.paybackYears) ? f.paybackYears.toFixed(2) : "never",
+      Math.round(f.npv),
+      f.irr == null ? "" : (f.irr * 100).toFixed(1),
+    ];
+    // Whole dollars that add up to the row's Total cost cell.
+    const breakdownCells = (breakdown) => {
+      const rounded = roundBreakdown(breakdown);
+      return COST_ITEMS.map(({ key }) => rounded[key]);
+    };
+    const rows = [
+      [
+        1,
+        "Space Needle",
+        "Space Needle",
+        getValuationAtLatLng(economics, SEATTLE_CENTER.lat, SEATTLE_CENTER.lng).neighborhoodLabel,
+        SEATTLE_CENTER.lat,
+        SEATTLE_CENTER.lng,
+        Math.round(totals.breakdown.original),
+        "",
+        "",
+        "",
+        "",
+        "",
+        "",
+        ...COST_ITEMS.map(({ key }) => (key === "original" ? Math.round(totals.breakdown.original) : 0)),
+      ],
+      ...placements.map((p) => [
+        needleNumberFor(p.id, placements),
+        p.name ?? "",
+        towerTypeOf(p).label,
+        p.neighborhoodLabel ?? "",
+        p.lat.toFixed(6),
+        p.lng.toFixed(6),
+        ...financeCells(layoutFinance.perNeedle.get(p.id)),
+        Math.round(totals.perNeedle.get(p.id).households),
+        Math.round(totals.perNeedle.get(p.id).jobs),
+        ...breakdownCells(totals.perNeedle.get(p.id).breakdown),
+      ]),
+      [
+        "Layout (new needles)",
+        "",
+        "",
+        "",
+        "",
+        "",
+        ...financeCells(layoutFinance.layout),
+        Math.round(totals.households),
+        Math.round(totals.jobs),
+        ...breakdownCells({ ...totals.breakdown, original: 0 }),
+      ],
+      [
+        "Layout (with original)",
+        "",
+        "",
+        "",
+        "",
+        "",
+        Math.round(totals.cost),
+        Math.round(totals.revenue),
+        "",
+        "",
+        "",
+        Math.round(totals.households),
+        Math.round(totals.jobs),
+        ...breakdownCells(totals.breakdown),
+      ],
+    ];
+    downloadBlob(new Blob([toCsv([header, ...rows])], { type: "text/csv" }), "two-space-needles-report.csv");
+  };
+
+  const onClearSelection = () => {
+    setSelectedIds([]);
+    setGroupMoving(false);
+  };
+
+  const onEditNeedleLabel = (id) => {
+    const placement = placementsRef.current.find((p) => p.id === id);
+    if (!placement) return;
+    if (mobileMenuDwellTimerRef.current) {
+      clearTimeout(mobileMenuDwellTimerRef.current);
+      mobileMenuDwellTimerRef.current = null;
+    }
+    setHoveredNeedleId(null);
+    setMenuAnchorXY(null);
+    setLabelEditor({ id, name: placement.name ?? "", note: placement.note ?? "" });
+  };
+
+  const onSaveNeedleLabel = (e) => {
+    e.preventDefault();
+    if (!labelEditor) return;
+    const name = labelEditor.name.trim() || null;
+    const note = labelEditor.note.trim() || null;
+    const current = placementsRef.current.find((p) => p.id === labelEditor.id);
+    if (current && ((current.name ?? null) !== name || (current.note ?? null) !== note)) {
+      commitLayoutChange(
+        "Rename Needle",
+        placementsRef.current.map((p) => (p.id === labelEditor.id ? { ...p, name, note } : p))
+      );
+    }
+    setLabelEditor(null);
+  };
+
+  // Keep a keyboard-driven target in view: recenter the camera when it is off screen.
+  const panToIfOffscreen = (at) => {
+    const mapEl = mapRef.current;
+    const wrapper = mapWrapperRef.current;
+    if (!mapEl || !wrapper || !at) return;
+    const rect = wrapper.getBoundingClientRect();
+    const xy = latLngToWrapperPixelWithProjection(mapEl, wrapper, at, projectionOverlayRef);
+    const onScreen = xy != null && xy.x >= 0 && xy.y >= 0 && xy.x <= rect.width && xy.y <= rect.height;
+    if (!onScreen) mapEl.center = { lat: at.lat, lng: at.lng, altitude: mapEl.center?.altitude ?? 0 };
+  };
+
+  // Keyboard mode on the focused map: arrows nudge the ghost relative to the camera heading (Shift = larger step),
+  // Enter drops or moves, Tab / Shift+Tab cycle the original and placed needles to open their menu, Escape closes it.
+  const onMapKeyDown = (e) => {
+    const mapEl = mapRef.current;
+    if (!mapEl || !overlayReady || visitMode) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.key === "Escape") {
+      if (hoveredNeedleId == null) {
+        // No menu open: cancel a pending group move first, then drop the selection.
+        if (groupMoving) setGroupMoving(false);
+        else if (selectedIds.length > 0) setSelectedIds([]);
+        return;
+      }
+      e.preventDefault();
+      setHoveredNeedleId(null);
+      setMenuAnchorXY(null);
+      mapWrapperRef.current?.focus();
+      return;
+    }
+    if (e.target !== e.currentTarget) return;
+
+    if (isPlacing) {
+      const arrows = { ArrowUp: [1, 0], ArrowDown: [-1, 0], ArrowRight: [0, 1], ArrowLeft: [0, -1] };
+      if (arrows[e.key]) {
+        e.preventDefault();
+        const [forward, right] = arrows[e.key];
+        const step = e.shiftKey ? KEYBOARD_NUDGE_FAST_M : KEYBOARD_NUDGE_M;
+        const h = ((mapEl.heading ?? 0) * Math.PI) / 180;
+        const northM = (forward * Math.cos(h) - right * Math.sin(h)) * step;
+        const eastM = (forward * Math.sin(h) + right * Math.cos(h)) * step;
+        const from = hoverLatLngRef.current ?? mapEl.center;
+        if (!from) return;
+        const pos = offsetLatLngMeters(from, northM, eastM);
+        hoverLatLngRef.current = pos;
+        setHoverLatLng(pos);
+        panToIfOffscreen(pos);
+      } else if (e.key === "Enter") {
+        const at = hoverLatLngRef.current;
+        if (!at) return;
+        e.preventDefault();
+        if (movingNeedleId != null) commitMoveAt(movingNeedleId, at);
+        else commitPlacementAt(at);
+      }
+      return;
+    }
+
+    if (e.key === "Tab") {
+      const ids = [ORIGINAL_NEEDLE_ID, ...placements.map((p) => p.id)];
+      const current = hoveredNeedleId == null ? -1 : ids.indexOf(hoveredNeedleId);
+      const next = current === -1 ? (e.shiftKey ? ids.length - 1 : 0) : current + (e.shiftKey ? -1 : 1);
+      if (mobileMenuDwellTimerRef.current) {
+        clearTimeout(mobileMenuDwellTimerRef.current);
+        mobileMenuDwellTimerRef.current = null;
+      }
+      if (next < 0 || next >= ids.length) {
+        /* past either end: close the menu and let focus leave the map */
+        setHoveredNeedleId(null);
+        setMenuAnchorXY(null);
+        return;
+      }
+      e.preventDefault();
+      const id = ids[next];
+      const target = id === ORIGINAL_NEEDLE_ID ? SEATTLE_CENTER : placements.find((p) => p.id === id);
+      panToIfOffscreen(target);
+      setHoveredNeedleId(id);
+    } else if (e.key === "Enter" && hoveredNeedleId != null) {
+      e.preventDefault();
+      mapWrapperRef.current?.querySelector(".needle-action-menu button")?.focus();
+    }
+  };
+
+  // Seed the ghost at the camera center when the map gets keyboard focus without a pointer position.
+  const onMapFocus = (e) => {
+    if (e.target !== e.currentTarget || !isPlacing || hoverLatLngRef.current) return;
+    const center = mapRef.current?.center;
+    if (!center) return;
+    const pos = { lat: center.lat, lng: center.lng };
+    hoverLatLngRef.current = pos;
+    setHoverLatLng(pos);
+  };
+
   const onVisitNeedle = (id) => {
     const isOriginal = id === ORIGINAL_NEEDLE_ID;
     const placement = isOriginal ? null : placements.find((p) => p.id === id);
@@ -2816,33 +4723,205 @@ export default function MapScene() {
       viewModeFlyTimeoutRef.current = null;
     }
 
-    const original = { lat: SEATTLE_CENTER.lat, lng: SEATTLE_CENTER.lng };
-    const bearingToOther = bearingDegrees(visited, original);
-    const VISIT_HEADING_OFFSET_DEG = 15;
-    const heading = (bearingToOther + VISIT_HEADING_OFFSET_DEG + 360) % 360;
-    const arrivalPose = {
-      center: { lat: visited.lat, lng: visited.lng, altitude: VIEW_ELEVATION_M },
-      tilt: VISIT_TILT,
-      range: VISIT_RANGE_M,
-      heading,
-    };
-    viewModeInitialPoseRef.current = arrivalPose;
+    const original = { lat: SEATTLE_CENTER.lat, lng: SEATTLE_CENTER.lng };
+    const bearingToOther = bearingDegrees(visited, original);
+    const VISIT_HEADING_OFFSET_DEG = 15;
+    const heading = (bearingToOther + VISIT_HEADING_OFFSET_DEG + 360) % 360;
+    const arrivalPose = {
+      center: { lat: visited.lat, lng: visited.lng, altitude: VIEW_ELEVATION_M },
+      tilt: VISIT_TILT,
+      range: VISIT_RANGE_M,
+      heading,
+    };
+    viewModeInitialPoseRef.current = arrivalPose;
+
+    flyCameraTo(mapEl, arrivalPose, VIEW_MODE_FLY_DURATION_MS);
+    viewModeFlyTimeoutRef.current = window.setTimeout(() => {
+      movementDetectionEnabledRef.current = true;
+      viewModeFlyTimeoutRef.current = null;
+    }, VIEW_MODE_FLY_DURATION_MS + VIEW_MODE_FLY_SETTLE_MS);
+  };
+
+  // Pattern tool preview: one footprint per point, colored like the placement footprint (overlap / refused).
+  useEffect(() => {
+    const mapEl = mapRef.current;
+    const PolygonClass = polygonClassRef.current;
+    for (const el of patternPreviewRef.current) el.parentElement?.removeChild(el);
+    patternPreviewRef.current = [];
+    if (!mapEl || !PolygonClass || !overlayReady || patternPoints.length === 0) return;
+    const radiusM = footprintRadiusOf({ towerType });
+    for (const { at, overlaps, refusal } of screenPatternPoints(patternPoints, placements, towerType, settings)) {
+      const el = new PolygonClass({
+        path: circleCoordinates(at.lat, at.lng, radiusM, CIRCLE_POINTS),
+        ...FOOTPRINT_COLORS[refusal ? "blocked" : overlaps ? "overlap" : "ok"],
+        strokeWidth: 2,
+        altitudeMode: "RELATIVE_TO_GROUND",
+      });
+      mapEl.appendChild(el);
+      patternPreviewRef.current.push(el);
+    }
+  }, [patternPoints, placements, towerType, settings, overlayReady]);
+
+  const onOpenPattern = () => {
+    const center = mapRef.current?.center;
+    setPattern((prev) => ({ ...prev, center: center ? { lat: center.lat, lng: center.lng } : SEATTLE_CENTER }));
+    setPatternCenterQuery("");
+    setPatternOpen(true);
+  };
+
+  const onPatternCenterSubmit = (e) => {
+    e.preventDefault();
+    const parsed = parseLocationInput(patternCenterQuery);
+    if (parsed.error) {
+      setNotice(parsed.error);
+      return;
+    }
+    setPattern((prev) => ({ ...prev, center: parsed.at }));
+  };
+
+  const onPatternUseMapCenter = () => {
+    const center = mapRef.current?.center;
+    if (center) setPattern((prev) => ({ ...prev, center: { lat: center.lat, lng: center.lng } }));
+    setPatternCenterQuery("");
+  };
+
+  // Commit the whole pattern as one undo step; each needle is valued on its own. Refused points are skipped.
+  const onCommitPattern = () => {
+    const screened = screenPatternPoints(patternPoints, placementsRef.current, towerType, settings);
+    const accepted = screened.filter((pt) => !pt.refusal);
+    if (accepted.length === 0) {
+      setNotice(`None of that pattern can be placed: ${screened[0]?.refusal?.reason ?? "no points"}.`);
+      return;
+    }
+    const batch = accepted.map((pt) => createPlacement(economics, nextPlacementIdRef.current++, pt.at, towerType));
+    commitLayoutChange("Place Pattern", [...placementsRef.current, ...batch]);
+    const first = batch[0];
+    const dropEl = dropSoundElementFor(first, isWaterPlacement(first.lat, first.lng, null));
+    if (!isUnlockingRef?.current && sfxEnabled && dropEl) {
+      dropEl.volume = 0.9;
+      dropEl.currentTime = 0;
+      dropEl.play().catch((err) => console.error("audio play failed", err));
+    }
+    const skipped = screened.length - accepted.length;
+    if (skipped > 0) setNotice(`${skipped} refused ${skipped === 1 ? "needle was" : "needles were"} skipped (placement rules or overlap).`);
+    setPatternOpen(false);
+    setMovingNeedleId(null);
+    setIsPlacing(false);
+  };
+
+  // "Go to" box: fly to typed coordinates or a neighborhood, then drop (or finish a move) there with the usual sound and valuation.
+  const onGotoSubmit = (e) => {
+    e.preventDefault();
+    const mapEl = mapRef.current;
+    if (!mapEl || !overlayReady) return;
+    const parsed = parseLocationInput(gotoQuery);
+    if (parsed.error) {
+      setNotice(parsed.error);
+      return;
+    }
+    if (visitMode) onExitVisit(false);
+    if (mobileMenuDwellTimerRef.current) {
+      clearTimeout(mobileMenuDwellTimerRef.current);
+      mobileMenuDwellTimerRef.current = null;
+    }
+    setHoveredNeedleId(null);
+    setMenuAnchorXY(null);
+    flyCameraTo(
+      mapEl,
+      {
+        center: { lat: parsed.at.lat, lng: parsed.at.lng, altitude: 0 },
+        tilt: DEFAULT_TILT,
+        range: DEFAULT_RANGE,
+        heading: mapEl.heading ?? DEFAULT_HEADING,
+      },
+      GOTO_FLY_DURATION_MS
+    );
+    if (gotoTimeoutRef.current) clearTimeout(gotoTimeoutRef.current);
+    const movingId = movingNeedleId;
+    gotoTimeoutRef.current = window.setTimeout(() => {
+      gotoTimeoutRef.current = null;
+      if (movingId != null) commitMoveAt(movingId, parsed.at);
+      else commitPlacementAt(parsed.at);
+    }, GOTO_FLY_DURATION_MS);
+    setGotoQuery("");
+  };
+
+  useEffect(() => () => {
+    if (gotoTimeoutRef.current) clearTimeout(gotoTimeoutRef.current);
+    if (flyToNeedleTimeoutRef.current) clearTimeout(flyToNeedleTimeoutRef.current);
+  }, []);
+
+  // Inventory rows: Space Needle #1 plus every placement, with the same figures as the stats panel.
+  /** Selected placements still in the layout, in layout order. */
+  const selection = useMemo(() => placements.filter((p) => selectedIds.includes(p.id)), [placements, selectedIds]);
+
+  const inventoryRows = useMemo(() => {
+    if (!inventoryOpen) return [];
+    const originalValuation = getValuationAtLatLng(economics, SEATTLE_CENTER.lat, SEATTLE_CENTER.lng);
+    const rows = [
+      {
+        id: ORIGINAL_NEEDLE_ID,
+        number: 1,
+        title: "Space Needle",
+        neighborhood: originalValuation.neighborhoodLabel,
+        land: originalValuation.landValue * dollars.today,
+        rate: originalValuation.ratePerSqFt * dollars.today,
+        // The civic revenue total counts only what new needles add, so the original has no figure to sum.
+        tourism: null,
+      },
+      ...placements.map((p) => ({
+        id: p.id,
+        number: needleNumberFor(p.id, placements),
+        title: p.name ?? towerTypeOf(p).label,
+        neighborhood: p.neighborhoodLabel ?? "—",
+        land: (p.landValue ?? 0) * (1 - (landShares.get(p.id) ?? 0)) * dollars.today,
+        rate: (p.ratePerSqFt ?? 0) * dollars.today,
+        tourism: totals.perNeedle.get(p.id)?.revenue ?? 0,
+      })),
+    ];
+    const { key, dir } = inventorySort;
+    return rows.sort((a, b) => {
+      const av = a[key];
+      const bv = b[key];
+      const cmp = typeof av === "string" ? av.localeCompare(bv) : av - bv;
+      return cmp * dir || a.number - b.number;
+    });
+  }, [inventoryOpen, inventorySort, placements, landShares, totals, dollars, economics]);
+
+  const onSortInventory = (key) => {
+    setInventorySort((prev) => ({ key, dir: prev.key === key ? -prev.dir : 1 }));
+  };
 
-    if (typeof mapEl.flyCameraTo === "function") {
-      mapEl.flyCameraTo({
-        endCamera: arrivalPose,
-        durationMillis: VIEW_MODE_FLY_DURATION_MS,
-      });
-    } else {
-      mapEl.center = arrivalPose.center;
-      mapEl.tilt = arrivalPose.tilt;
-      mapEl.range = arrivalPose.range;
-      mapEl.heading = arrivalPose.heading;
+  // Fly to a needle from the inventory, then open its action menu once the camera arrives.
+  const onInventorySelect = (id) => {
+    const mapEl = mapRef.current;
+    if (!mapEl) return;
+    const target = id === ORIGINAL_NEEDLE_ID ? SEATTLE_CENTER : placements.find((p) => p.id === id);
+    if (!target) return;
+    if (visitMode) onExitVisit(false);
+    if (mobileMenuDwellTimerRef.current) {
+      clearTimeout(mobileMenuDwellTimerRef.current);
+      mobileMenuDwellTimerRef.current = null;
     }
-    viewModeFlyTimeoutRef.current = window.setTimeout(() => {
-      movementDetectionEnabledRef.current = true;
-      viewModeFlyTimeoutRef.current = null;
-    }, VIEW_MODE_FLY_DURATION_MS + VIEW_MODE_FLY_SETTLE_MS);
+    setMovingNeedleId(null);
+    setIsPlacing(false);
+    setHoveredNeedleId(null);
+    setMenuAnchorXY(null);
+    flyCameraTo(
+      mapEl,
+      {
+        center: { lat: target.lat, lng: target.lng, altitude: 0 },
+        tilt: DEFAULT_TILT,
+        range: INVENTORY_FLY_RANGE_M,
+        heading: mapEl.heading ?? DEFAULT_HEADING,
+      },
+      INVENTORY_FLY_DURATION_MS
+    );
+    if (flyToNeedleTimeoutRef.current) clearTimeout(flyToNeedleTimeoutRef.current);
+    flyToNeedleTimeoutRef.current = window.setTimeout(() => {
+      flyToNeedleTimeoutRef.current = null;
+      setHoveredNeedleId(id);
+    }, INVENTORY_FLY_DURATION_MS);
   };
 
   const onExitVisit = (resetCamera = true) => {
@@ -2931,7 +5010,7 @@ export default function MapScene() {
     const placement = !isOriginal ? placements.find((p) => p.id === needleId) : null;
     const visitedLat = isOriginal ? SEATTLE_CENTER.lat : (placement?.lat ?? SEATTLE_CENTER.lat);
     const visitedLng = isOriginal ? SEATTLE_CENTER.lng : (placement?.lng ?? SEATTLE_CENTER.lng);
-    const needleNumber = isOriginal ? 1 : placements.findIndex((p) => p.id === needleId) + 2;
+    const needleNumber = needleNumberFor(needleId, placements);
     const lat = Number(visitedLat.toFixed(5));
     const lng = Number(visitedLng.toFixed(5));
     const originalLat = Number(SEATTLE_CENTER.lat.toFixed(5));
@@ -2947,9 +5026,18 @@ export default function MapScene() {
       cameraRange = mapEl.range ?? undefined;
     }
 
-    const landAcquisition = placement?.landValue ?? (isOriginal ? getValuationAtLatLng(visitedLat, visitedLng).landValue : 0);
-    const constructionCost = NEEDLE_BUILD_COST;
-    const projectedTourismRevenue = placement?.tourismRevenue ?? computeTourismRevenue(visitedLat, visitedLng);
+    // The original is priced as the panel prices it: its 1962 cost, which covers the whole build, so it has no
+    // separate land line. Nominal dollars leave it at the as-built price (not inflated); constant dollars move it
+    // into the base year like every other amount.
+    const landAcquisition = (placement?.landValue ?? 0) * dollars.today;
+    const constructionCost = isOriginal
+      ? ORIGINAL_TOTALS.cost * dollars.original
+      : (placement
+          ? needleBuildCost(economics, placement, escalationFactor(placements.indexOf(placement), settings))
+          : needleBuildCost(economics, placement)) * dollars.today;
+    const projectedTourismRevenue =
+      totals.perNeedle.get(placement?.id)?.revenue ?? computeTourismRevenue(economics, visitedLat, visitedLng) * dollars.today;
+    const finance = placement ? layoutFinance.perNeedle.get(placement.id) ?? null : null;
     const createdAt = Date.now();
 
     const visited = { lat: visitedLat, lng: visitedLng };
@@ -2957,7 +5045,14 @@ export default function MapScene() {
     const MAX_DISTANCE_M = 12000;
 
     const visibleNeedles = [];
-    visibleNeedles.push({ needleId, lat: visitedLat, lng: visitedLng, distanceMeters: 0, bearingDeg: 0 });
+    visibleNeedles.push({
+      needleId,
+      lat: visitedLat,
+      lng: visitedLng,
+      distanceMeters: 0,
+      bearingDeg: 0,
+      heightScale: placement?.heightScale ?? 1,
+    });
     if (!isOriginal) {
       visibleNeedles.push({
         needleId: ORIGINAL_NEEDLE_ID,
@@ -2978,6 +5073,7 @@ export default function MapScene() {
           lng: p.lng,
           distanceMeters: dist,
           bearingDeg: bearing,
+          heightScale: p.heightScale ?? 1,
         };
       })
       .filter((c) => c.distanceMeters <= MAX_DISTANCE_M);
@@ -2994,9 +5090,23 @@ export default function MapScene() {
       landAcquisition,
       constructionCost,
       projectedTourismRevenue,
+      paybackYears: finance?.paybackYears ?? null,
+      npv: finance?.npv ?? null,
+      irr: finance?.irr ?? null,
+      // Whole dollars that add up to the needle's Total Cost, as in the CSV report; the original is its 1962 line,
+      // labeled in 1962 dollars when nominal since it is the as-built price.
+      costBreakdown: placement
+        ? roundBreakdown(totals.perNeedle.get(placement.id).breakdown)
+        : isOriginal
+          ? roundBreakdown({ ...Object.fromEntries(COST_ITEMS.map(({ key }) => [key, 0])), original: totals.breakdown.original })
+          : null,
+      dollarsUnit: isOriginal && settings.dollarsMode !== "constant" ? `${ORIGINAL_YEAR} $` : dollarUnitOf(settings),
       createdAt,
       needleId,
       needleNumber,
+      towerLabel: towerTypeOf(placement).label,
+      needleName: placement?.name ?? null,
+      needleNote: placement?.note ?? null,
       visibleNeedles,
     };
 
@@ -3017,6 +5127,11 @@ export default function MapScene() {
       aiUrl: null,
       needleId,
       needleNumber,
+      towerLabel: metadata.towerLabel,
+      needleName: metadata.needleName,
+      needleNote: metadata.needleNote,
+      costBreakdown: metadata.costBreakdown,
+      dollarsUnit: metadata.dollarsUnit,
       lat,
       lng,
       createdAt,
@@ -3055,6 +5170,11 @@ export default function MapScene() {
     visitedNeedleId,
     panelNeedleId,
     placements,
+    settings,
+    totals,
+    layoutFinance,
+    dollars,
+    economics,
     getFallbackPlaceholderUrl,
   ]);
 
@@ -3065,12 +5185,9 @@ export default function MapScene() {
       poofAudioRef.current.play().catch((err) => console.error("poof play failed", err));
     }
     const mapEl = mapRef.current;
-    const placed = placedModelsRef.current;
-    placed.forEach((el) => {
-      if (el?.parentElement) el.parentElement.removeChild(el);
-    });
-    placed.clear();
-    setPlacements([]);
+    if (placementsRef.current.length > 0) commitLayoutChange("Erase Needles", []);
+    setSelectedIds([]);
+    setGroupMoving(false);
     setMovingNeedleId(null);
     if (mobileMenuDwellTimerRef.current) {
       clearTimeout(mobileMenuDwellTimerRef.current);
@@ -3090,6 +5207,27 @@ export default function MapScene() {
     }
   };
 
+  const onShareLayout = async () => {
+    const mapEl = mapRef.current;
+    const center = mapEl?.center;
+    const camera =
+      shareIncludesCamera && center
+        ? { lat: Number(center.lat), lng: Number(center.lng), range: mapEl.range, tilt: mapEl.tilt, heading: mapEl.heading }
+        : null;
+    // A link an operator shares opens in visitor mode.
+    const search = new URLSearchParams(window.location.search);
+    search.delete(OPERATOR_PARAM);
+    const query = search.toString() ? `?${search}` : "";
+    const url = `${window.location.origin}${window.location.pathname}${query}#${encodeLayoutHash(placements, camera)}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setNotice("Layout link copied to clipboard.");
+    } catch {
+      // Clipboard API needs a secure context; fall back to letting the user copy it by hand.
+      window.prompt("Copy this layout link:", url);
+    }
+  };
+
   // Button feedback: haptic (mobile) + sound on pointerdown so it fires immediately when touched (no click delay).
   // Use capture phase so we run before any child (e.g. needle menu) calls stopPropagation, so Delete and all buttons get sound.
   useEffect(() => {
@@ -3153,6 +5291,10 @@ export default function MapScene() {
             className={`exhibit-viewport-inner${isPlacing && pointerOverMap ? " is-placing" : ""}${isPlacingDragActive ? " is-placing-drag" : ""}`}
             onPointerEnter={() => setPointerOverMap(true)}
             onPointerLeave={() => setPointerOverMap(false)}
+            tabIndex={0}
+            aria-label="Map. While placing, arrow keys move the needle and Enter drops it. Tab cycles needles; Escape closes the menu."
+            onKeyDown={onMapKeyDown}
+            onFocus={onMapFocus}
           >
             {mapLibReady && (
               <gmp-map-3d
@@ -3307,6 +5449,15 @@ export default function MapScene() {
                         Space Needle #1
                       </div>
                     )}
+                    {placement && layoutFinance.perNeedle.has(placement.id) && (() => {
+                      const f = layoutFinance.perNeedle.get(placement.id);
+                      return (
+                        <div className="needle-action-menu-finance">
+                          Payback {formatPaybackYears(f.paybackYears)} · NPV {formatSignedCurrency(f.npv)} · IRR{" "}
+                          {formatIrr(f.irr)}
+                        </div>
+                      );
+                    })()}
                     {!isOriginal && (
                       <button
                         type="button"
@@ -3323,6 +5474,54 @@ export default function MapScene() {
                         Move Needle
                       </button>
                     )}
+                    {!isOriginal && (
+                      <button
+                        type="button"
+                        onClick={() => !isMobileView && onRotateNeedle(hoveredNeedleId)}
+                        onPointerUp={(e) => {
+                          if (isMobileView) {
+                            e.preventDefault();
+                            e.stopPropagation();
+                            onRotateNeedle(hoveredNeedleId);
+                          }
+                        }}
+                        aria-label={`Rotate this needle ${ROTATE_STEP_DEG} degrees`}
+                      >
+                        Rotate {ROTATE_STEP_DEG}°
+                      </button>
+                    )}
+                    {!isOriginal && placement && (
+                      <button
+                        type="button"
+                        onClick={() => !isMobileView && onCycleNeedleHeight(hoveredNeedleId)}
+                        onPointerUp={(e) => {
+                          if (isMobileView) {
+                            e.preventDefault();
+                            e.stopPropagation();
+                            onCycleNeedleHeight(hoveredNeedleId);
+                          }
+                        }}
+                        aria-label="Change this needle's height"
+                      >
+                        Height: {Math.round(ORIGINAL_HEIGHT_FT * (placement.heightScale ?? 1))} ft
+                      </button>
+                    )}
+                    {!isOriginal && (
+                      <button
+                        type="button"
+                        onClick={() => !isMobileView && onEditNeedleLabel(hoveredNeedleId)}
+                        onPointerUp={(e) => {
+                          if (isMobileView) {
+                            e.preventDefault();
+                            e.stopPropagation();
+                            onEditNeedleLabel(hoveredNeedleId);
+                          }
+                        }}
+                        aria-label="Name this needle or add a note"
+                      >
+                        Name &amp; Note
+                      </button>
+                    )}
                     {!isOriginal && placements.length > 1 && (
                       <button
                         type="button"
@@ -3358,6 +5557,11 @@ export default function MapScene() {
                 )
               );
             })()}
+            {lasso && (
+              <svg className="exhibit-lasso" aria-hidden>
+                <polygon points={lasso.map((pt) => `${pt.x},${pt.y}`).join(" ")} />
+              </svg>
+            )}
             {poofAt && (
               <div
                 className="needle-poof"
@@ -3388,6 +5592,195 @@ export default function MapScene() {
               Loading map…
             </div>
           )}
+          {boundaryStatus !== "loaded" && (
+            <div className={`exhibit-boundary-status map-overlay is-${boundaryStatus}`} role="status">
+              {boundaryStatus === "loading"
+                ? "Loading neighborhood boundaries…"
+                : "Neighborhood boundaries unavailable: land/water and land prices are approximate"}
+            </div>
+          )}
+          {notice && (
+            <div className="exhibit-notice map-overlay" role="status">
+              {notice}
+            </div>
+          )}
+          <div className={`exhibit-inventory${inventoryOpen ? " is-open" : ""}`}>
+            <button
+              type="button"
+              className="exhibit-inventory-toggle"
+              aria-expanded={inventoryOpen}
+              aria-controls="exhibit-inventory-list"
+              onClick={() => setInventoryOpen((open) => !open)}
+            >
+              Needles ({totalNeedles}) {inventoryOpen ? "▾" : "▸"}
+            </button>
+            {inventoryOpen && (
+              <div id="exhibit-inventory-list" className="exhibit-inventory-scroll">
+                <table className="exhibit-inventory-table">
+                  <thead>
+                    <tr>
+                      {INVENTORY_COLUMNS.map((col) => (
+                        <th
+                          key={col.key}
+                          scope="col"
+                          aria-sort={
+                            inventorySort.key === col.key ? (inventorySort.dir === 1 ? "ascending" : "descending") : "none"
+                          }
+                        >
+                          <button type="button" onClick={() => onSortInventory(col.key)}>
+                            {col.label}
+                            {inventorySort.key === col.key ? (inventorySort.dir === 1 ? " ▲" : " ▼") : ""}
+                          </button>
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {inventoryRows.map((row) => (
+                      <tr
+                        key={row.id}
+                        tabIndex={0}
+                        title={`Fly to ${row.title} #${row.number}`}
+                        onClick={() => onInventorySelect(row.id)}
+                        onKeyDown={(e) => {
+                          if (e.key === "Enter" || e.key === " ") {
+                            e.preventDefault();
+                            onInventorySelect(row.id);
+                          }
+                        }}
+                      >
+                        <td>#{row.number}</td>
+                        <td>{row.neighborhood}</td>
+                        <td>{formatCurrency(row.land)}</td>
+                        <td>{formatRate(row.rate)}</td>
+                        <td title={row.tourism == null ? "Not counted in the revenue total" : undefined}>
+                          {row.tourism == null ? "—" : formatCurrency(row.tourism)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+          {selection.length > 0 && !visitMode && (
+            <div className="exhibit-selection-bar" role="toolbar" aria-label="Selected needles">
+              <span className="exhibit-selection-count">
+                {groupMoving
+                  ? `Click the new center for ${selection.length === 1 ? "the needle" : `${selection.length} needles`}`
+                  : `${selection.length} selected`}
+              </span>
+              {groupMoving ? (
+                <button type="button" className="exhibit-toolbar-button" onClick={() => setGroupMoving(false)}>
+                  Cancel
+                </button>
+              ) : (
+                <>
+                  <button type="button" className="exhibit-toolbar-button" onClick={onStartGroupMove}>
+                    Move
+                  </button>
+                  <button type="button" className="exhibit-toolbar-button" onClick={onRotateSelection}>
+                    Rotate {ROTATE_STEP_DEG}°
+                  </button>
+                  <button type="button" className="exhibit-toolbar-button" onClick={onDeleteSelection}>
+                    Delete
+                  </button>
+                  <button type="button" className="exhibit-toolbar-button" onClick={onClearSelection}>
+                    Clear
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+          {ghostCheck?.refusal && (
+            <div className="exhibit-rule-reason" role="status">
+              {ghostCheck.refusal.reason}
+            </div>
+          )}
+          {patternOpen && (
+            <div className="exhibit-pattern-panel" role="dialog" aria-labelledby="pattern-title">
+              <h2 id="pattern-title" className="exhibit-pattern-title">Pattern</h2>
+              <label className="exhibit-pattern-field">
+                Shape
+                <select
+                  value={pattern.shape}
+                  onChange={(e) => setPattern((prev) => ({ ...prev, shape: e.target.value }))}
+                >
+                  {Object.entries(PATTERN_SHAPES).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="exhibit-pattern-field">
+                Count
+                <input
+                  type="number"
+                  min={1}
+                  max={PATTERN_MAX_COUNT}
+                  value={pattern.count}
+                  step={1}
+                  onChange={(e) => {
+                    const count = Number(e.target.value);
+                    if (e.target.value !== "" && Number.isFinite(count)) {
+                      setPattern((prev) => ({ ...prev, count: Math.max(1, Math.min(PATTERN_MAX_COUNT, Math.floor(count))) }));
+                    }
+                  }}
+                />
+              </label>
+              <label className="exhibit-pattern-field">
+                Spacing (m)
+                <input
+                  type="number"
+                  min={50}
+                  step={50}
+                  value={pattern.spacingM}
+                  onChange={(e) => setPattern((prev) => ({ ...prev, spacingM: Math.max(50, Number(e.target.value) || 50) }))}
+                />
+              </label>
+              <label className="exhibit-pattern-field">
+                Bearing (°)
+                <input
+                  type="number"
+                  min={0}
+                  max={359}
+                  step={15}
+                  value={pattern.bearingDeg}
+                  onChange={(e) => setPattern((prev) => ({ ...prev, bearingDeg: Number(e.target.value) || 0 }))}
+                />
+              </label>
+              {pattern.shape !== "ring" && (
+                <form className="exhibit-pattern-field" onSubmit={onPatternCenterSubmit}>
+                  Center
+                  <input
+                    type="text"
+                    value={patternCenterQuery}
+                    onChange={(e) => setPatternCenterQuery(e.target.value)}
+                    placeholder={pattern.center ? formatLatLngMobile(pattern.center.lat, pattern.center.lng) : "Map center"}
+                    aria-label="Pattern center: coordinates or neighborhood"
+                    list="exhibit-goto-zones"
+                  />
+                  <button type="button" className="exhibit-toolbar-button" onClick={onPatternUseMapCenter}>
+                    Map center
+                  </button>
+                </form>
+              )}
+              <div className="exhibit-pattern-actions">
+                <button type="button" className="exhibit-restore-discard" onClick={() => setPatternOpen(false)}>
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  className="exhibit-btn-primary"
+                  disabled={patternPoints.length === 0}
+                  onClick={onCommitPattern}
+                >
+                  Place {patternPoints.length} {patternPoints.length === 1 ? "Needle" : "Needles"}
+                </button>
+              </div>
+            </div>
+          )}
           {mapError && (
             <div className="exhibit-error-overlay map-overlay">
               <div className="exhibit-error-title">Map load error</div>
@@ -3397,10 +5790,10 @@ export default function MapScene() {
         </div>
         <div className="exhibit-data">
           {(() => {
-            const placingValuation =
-              isPlacing && hoverLatLng
-                ? getValuationAtLatLng(hoverLatLng.lat, hoverLatLng.lng)
-                : null;
+            const movingPlacementForPanel = movingNeedleId != null ? placements.find((p) => p.id === movingNeedleId) : null;
+            const candidate = movingPlacementForPanel ?? { towerType };
+            // What the candidate would be if dropped here (same fields as a placement, incl. water platform pricing).
+            const placingValuation = isPlacing && hoverLatLng ? revaluePlacement(economics, candidate, hoverLatLng) : null;
             const showPanelNeedle = visitMode && panelNeedleId != null;
             const isOriginalHighlighted =
               !showPanelNeedle &&
@@ -3421,18 +5814,45 @@ export default function MapScene() {
                   : null;
             const isOriginalInPanel = showPanelNeedle && panelNeedleId === ORIGINAL_NEEDLE_ID;
             const movingPlacement = movingNeedleId != null ? placements.find((p) => p.id === movingNeedleId) : null;
+            const showSelection =
+              selection.length > 0 &&
+              !showPanelNeedle &&
+              !isPlacing &&
+              !movingNeedleId &&
+              !visitMode &&
+              hoveredNeedleId == null;
             const boxTitle =
               isOriginalInPanel || isOriginalHighlighted
                 ? "Space Needle #1"
                 : activePlacement != null
-                  ? `Space Needle #${placements.findIndex((p) => p.id === (showPanelNeedle ? panelNeedleId : hoveredNeedleId)) + 2}`
-                  : "LIVE ESTIMATE";
+                  ? needleTitleFor(activePlacement, placements)
+                  : showSelection
+                    ? `${selection.length} ${selection.length === 1 ? "Needle" : "Needles"} Selected`
+                    : "LIVE ESTIMATE";
             const coordsSource = isPlacing && hoverLatLng
               ? { lat: hoverLatLng.lat, lng: hoverLatLng.lng }
               : (activePlacement || movingPlacement)
                 ? { lat: (activePlacement || movingPlacement).lat, lng: (activePlacement || movingPlacement).lng }
                 : null;
 
+            const overlapSubject = isPlacing && hoverLatLng ? hoverLatLng : activePlacement;
+            const overlapExcludeId = isPlacing ? movingNeedleId : activePlacement?.id;
+            const overlapRadiusM = footprintRadiusOf(isPlacing ? candidate : activePlacement);
+            const overlapIds = overlapSubject
+              ? findOverlappingNeedles(overlapSubject, placements, overlapExcludeId, overlapRadiusM)
+              : [];
+            const placingLandValue = placingValuation
+              ? placingValuation.landValue *
+                (overlapPolicy === "share"
+                  ? 1 - sharedLandFraction(hoverLatLng, placements, movingNeedleId, overlapRadiusM)
+                  : 1) *
+                dollars.today
+              : null;
+            const activeLandValue =
+              activePlacement?.landValue != null
+                ? activePlacement.landValue * (1 - (landShares.get(activePlacement.id) ?? 0)) * dollars.today
+                : null;
+
             const getLabel = (desktopLabel) =>
               isMobilePanel && MOBILE_LABELS[desktopLabel] != null ? MOBILE_LABELS[desktopLabel] : desktopLabel;
 
@@ -3441,19 +5861,130 @@ export default function MapScene() {
               {
                 civicLabel: getLabel("Land Acquired"),
                 civicValue: isMobilePanel ? countUpAcres.toFixed(2) : `${countUpAcres.toFixed(2)} acres`,
+                delta: marginalTotals && {
+                  value: marginalTotals.acres,
+                  text: formatDelta(marginalTotals.acres, (n) => n.toFixed(2)),
+                },
+              },
+              {
+                civicLabel: (
+                  <button
+                    type="button"
+                    className="exhibit-civic-expand"
+                    aria-expanded={costBreakdownOpen}
+                    aria-controls="exhibit-cost-breakdown"
+                    onClick={() => setCostBreakdownOpen((open) => !open)}
+                  >
+                    {getLabel("Total Cost")} {costBreakdownOpen ? "▾" : "▸"}
+                  </button>
+                ),
+                civicValue: formatCurrency(countUpCost),
+                delta: marginalTotals && {
+                  value: marginalTotals.cost,
+                  text: formatDelta(marginalTotals.cost, formatCurrency),
+                },
               },
-              { civicLabel: getLabel("Total Cost"), civicValue: formatCurrency(countUpCost) },
               {
                 civicLabel: getLabel("Tourism Revenue"),
                 civicValue: isMobilePanel ? formatCurrency(countUpRevenue) : formatCurrencyPerYear(countUpRevenue),
+                // More revenue is the good direction, so its colors run the other way.
+                delta: marginalTotals && {
+                  value: -marginalTotals.revenue,
+                  text: formatDelta(marginalTotals.revenue, isMobilePanel ? formatCurrency : formatCurrencyPerYear),
+                },
+              },
+              {
+                civicLabel: getLabel("Households Displaced"),
+                civicValue: formatCount(totals.households),
+                delta: marginalTotals && {
+                  value: marginalTotals.households,
+                  text: formatDelta(marginalTotals.households, formatCount),
+                },
+              },
+              {
+                civicLabel: getLabel("Jobs Displaced"),
+                civicValue: formatCount(totals.jobs),
+                delta: marginalTotals && { value: marginalTotals.jobs, text: formatDelta(marginalTotals.jobs, formatCount) },
               },
+              ...(placements.length > 0
+                ? [
+                    { civicLabel: getLabel("Payback"), civicValue: formatPaybackYears(layoutFinance.layout.paybackYears) },
+                    {
+                      civicLabel: isMobilePanel ? getLabel("NPV") : `NPV @ ${settings.discountRatePct}%`,
+                      civicValue: formatSignedCurrency(layoutFinance.layout.npv),
+                    },
+                    { civicLabel: getLabel("IRR"), civicValue: formatIrr(layoutFinance.layout.irr) },
+                  ]
+                : []),
             ];
 
+            // Selection totals: land net of shared footprints (same as the civic totals), parcels and yearly revenue.
+            const selectionRows = showSelection
+              ? [
+                  {
+                    liveLabel: getLabel("Land Acquisition"),
+                    liveValue: formatCurrency(
+                      selection.reduce((sum, p) => sum + (p.landValue ?? 0) * (1 - (landShares.get(p.id) ?? 0)), 0) *
+                        dollars.today
+                    ),
+                  },
+                  ...(selection.some((p) => p.isWaterPlatform)
+                    ? [
+                        {
+                          liveLabel: getLabel("Platform cost"),
+                          liveValue: formatCurrency(selection.reduce((sum, p) => sum + (p.platformCost ?? 0), 0) * dollars.today),
+                        },
+                      ]
+                    : []),
+                  {
+                    liveLabel: getLabel("Land required"),
+                    liveValue: (() => {
+                      const acres = selection
+                        .reduce((sum, p) => sum + landAcresOf(economics, p) * (1 - (landShares.get(p.id) ?? 0)), 0)
+                        .toFixed(2);
+                      return isMobilePanel ? acres : `${acres} acres`;
+                    })(),
+                  },
+                  {
+                    liveLabel: getLabel("Tourism Revenue"),
+                    liveValue: (() => {
+                      const revenue = selection.reduce((sum, p) => sum + (totals.perNeedle.get(p.id)?.revenue ?? 0), 0);
+                      return isMobilePanel ? formatCurrency(revenue) : formatCurrencyPerYear(revenue);
+                    })(),
+                  },
+                  {
+                    liveLabel: getLabel("Households Displaced"),
+                    liveValue: formatCount(selection.reduce((sum, p) => sum + (totals.perNeedle.get(p.id)?.households ?? 0), 0)),
+                  },
+                  {
+                    liveLabel: getLabel("Jobs Displaced"),
+                    liveValue: formatCount(selection.reduce((sum, p) => sum + (totals.perNeedle.get(p.id)?.jobs ?? 0), 0)),
+                  },
+                ]
+              : null;
+
+            // A floating platform buys no land: its pontoon cost and water body replace Land Acquisition and Rate.
+            const pricedSubject = placingValuation ?? activePlacement;
+            const platformRows = pricedSubject?.isWaterPlatform
+              ? [
+                  { liveLabel: getLabel("Platform cost"), liveValue: formatCurrency((pricedSubject.platformCost ?? 0) * dollars.today) },
+                  { liveLabel: getLabel("Water body"), liveValue: waterBodyOf(pricedSubject.waterBody).label },
+                ]
+              : null;
+
             const liveRows = isOriginalInPanel || isOriginalHighlighted
               ? [
                   { liveLabel: getLabel("Year constructed"), liveValue: "1962" },
                   { liveLabel: getLabel("Land required"), liveValue: isMobilePanel ? "0.33" : "0.33 acres" },
-                  { liveLabel: getLabel("Total Cost"), liveValue: "$4.5M" },
+                  { liveLabel: getLabel("Total Cost"), liveValue: formatCurrency(ORIGINAL_TOTALS.cost * dollars.original) },
+                  // Total Cost is the as-built 1962 price when nominal (not inflated) and the base-year price when constant;
+                  // the row after it gives the other one: CPI-adjusted to today when nominal, as built when constant.
+                  settings.dollarsMode === "constant"
+                    ? { liveLabel: getLabel("As built"), liveValue: formatCurrency(ORIGINAL_TOTALS.cost) }
+                    : {
+                        liveLabel: getLabel("Today's dollars"),
+                        liveValue: formatCurrency(adjustForInflation(ORIGINAL_TOTALS.cost, ORIGINAL_YEAR, PRICE_YEAR)),
+                      },
                   {
                     liveLabel: getLabel("Coordinates"),
                     liveValue:
@@ -3479,29 +6010,111 @@ export default function MapScene() {
                         : formatLatLngDirectional(coordsSource.lat, coordsSource.lng)
                       : "—",
                   },
-                  {
-                    liveLabel: getLabel("Land Acquisition"),
-                    liveValue: placingValuation
-                      ? formatCurrency(placingValuation.landValue)
-                      : activePlacement != null && activePlacement.landValue != null
-                        ? formatCurrency(activePlacement.landValue)
-                        : "—",
-                  },
-                  {
-                    liveLabel: getLabel("Rate"),
-                    liveValue: placingValuation
-                      ? formatRate(placingValuation.ratePerSqFt)
-                      : activePlacement != null && activePlacement.ratePerSqFt != null
-                        ? formatRate(activePlacement.ratePerSqFt)
-                        : "—",
-                  },
+                  ...(platformRows ?? [
+                    {
+                      liveLabel: getLabel("Land Acquisition"),
+                      liveValue: placingLandValue != null
+                        ? formatCurrency(placingLandValue)
+                        : activeLandValue != null
+                          ? formatCurrency(activeLandValue)
+                          : "—",
+                    },
+                    {
+                      liveLabel: getLabel("Rate"),
+                      liveValue: placingValuation
+                        ? formatRate(placingValuation.ratePerSqFt * dollars.today)
+                        : activePlacement != null && activePlacement.ratePerSqFt != null
+                          ? formatRate(activePlacement.ratePerSqFt * dollars.today)
+                          : "—",
+                    },
+                  ]),
                 ];
+            // Escalated build cost of the needle in focus: its own slot in build order, or the next slot for a new drop.
+            const buildIndex = placingValuation
+              ? movingPlacementForPanel
+                ? placements.indexOf(movingPlacementForPanel)
+                : placements.length
+              : activePlacement
+                ? placements.indexOf(activePlacement)
+                : -1;
+            if (buildIndex >= 0) {
+              const subject = placingValuation ?? activePlacement;
+              const buildCost = needleBuildCost(economics, subject, escalationFactor(buildIndex, settings)) * dollars.today;
+              liveRows.push({ liveLabel: getLabel("Build cost"), liveValue: formatCurrency(buildCost) });
+              // Tourism after market saturation and people displaced: the candidate's figures in the re-totalled
+              // layout, or the needle's own.
+              const needleFigures = placingValuation
+                ? marginalTotals?.candidate ?? {
+                    revenue: (subject.tourismRevenue ?? 0) * dollars.today,
+                    saturation: 1,
+                    ...displacementOf(economics, subject),
+                  }
+                : {
+                    ...totals.perNeedle.get(activePlacement.id),
+                    saturation: totals.saturation.get(activePlacement.id) ?? 1,
+                  };
+              liveRows.push({
+                liveLabel: getLabel("Tourism Revenue"),
+                liveValue: (
+                  <>
+                    {isMobilePanel ? formatCurrency(needleFigures.revenue) : formatCurrencyPerYear(needleFigures.revenue)}
+                    {needleFigures.saturation < 0.995 && (
+                      <span className="exhibit-live-saturation" title="Revenue lost to nearby needles and market size">
+                        {" "}
+                        (−{Math.round((1 - needleFigures.saturation) * 100)}%)
+                      </span>
+                    )}
+                  </>
+                ),
+              });
+              liveRows.push(
+                { liveLabel: getLabel("Households Displaced"), liveValue: formatCount(needleFigures.households ?? 0) },
+                { liveLabel: getLabel("Jobs Displaced"), liveValue: formatCount(needleFigures.jobs ?? 0) }
+              );
+              // Same cost and revenue as the civic totals count for this needle: build, platform and its share of land.
+              const finance = analyzeInvestment(
+                buildCost + (subject.platformCost ?? 0) * dollars.today + (placingLandValue ?? activeLandValue ?? 0),
+                needleFigures.revenue,
+                financeOptionsOf(settings)
+              );
+              liveRows.push(
+                { liveLabel: getLabel("Payback"), liveValue: formatPaybackYears(finance.paybackYears) },
+                {
+                  liveLabel: isMobilePanel ? getLabel("NPV") : `NPV @ ${settings.discountRatePct}%`,
+                  liveValue: formatSignedCurrency(finance.npv),
+                }
+              );
+            }
+            if (dragMove && placingLandValue != null) {
+              const delta =
+                placingLandValue - dragMove.fromLandValue * (1 - (landShares.get(dragMove.id) ?? 0)) * dollars.today;
+              liveRows.push({
+                liveLabel: getLabel("Land vs. old spot"),
+                liveValue: (
+                  <span className={delta > 0 ? "exhibit-live-delta is-up" : "exhibit-live-delta is-down"}>
+                    {formatDelta(delta, formatCurrency)}
+                  </span>
+                ),
+              });
+            }
+            if (overlapIds.length > 0 && !(isOriginalInPanel || isOriginalHighlighted)) {
+              liveRows.push({
+                liveLabel: getLabel("Overlaps"),
+                liveValue: (
+                  <span className={overlapPolicy === "block" && isPlacing ? "exhibit-live-overlap is-blocked" : "exhibit-live-overlap"}>
+                    {overlapIds.map((id) => `#${needleNumberFor(id, placements)}`).join(", ")}
+                    {overlapPolicy === "block" && isPlacing ? " (blocked)" : ""}
+                  </span>
+                ),
+              });
+            }
 
             return (
               <div className="exhibit-stats-panel">
                 <div className="exhibit-live-block">
                   <h3 className="exhibit-key-title-live">{boxTitle}</h3>
-                  {liveRows.map((row, i) => (
+                  {activePlacement?.note && <p className="exhibit-live-note">{activePlacement.note}</p>}
+                  {(selectionRows ?? liveRows).map((row, i) => (
                     <div key={i} className="exhibit-live-row">
                       <span className="exhibit-live-label">{row.liveLabel}</span>
                       <span className="exhibit-live-value">{row.liveValue}</span>
@@ -3510,18 +6123,200 @@ export default function MapScene() {
                 </div>
                 <div className="exhibit-panel-divider" aria-hidden />
                 <div className="exhibit-civic-block">
-                  <h3 className="exhibit-key-title-civic">CIVIC IMPACT</h3>
+                  <h3 className="exhibit-key-title-civic">
+                    CIVIC IMPACT
+                    {settings.dollarsMode === "constant" && (
+                      <span className="exhibit-civic-dollars"> ({dollarUnitOf(settings)})</span>
+                    )}
+                  </h3>
                   {civicRows.map((row, i) => (
                     <div key={i} className="exhibit-civic-row">
                       <span className="exhibit-civic-label">{row.civicLabel}</span>
-                      <span className="exhibit-civic-value">{row.civicValue}</span>
+                      <span className="exhibit-civic-value">
+                        {row.civicValue}
+                        {row.delta && (
+                          <span
+                            className={row.delta.value > 0 ? "exhibit-civic-delta is-worse" : "exhibit-civic-delta is-better"}
+                            title="Change if dropped here"
+                          >
+                            {row.delta.text}
+                          </span>
+                        )}
+                      </span>
                     </div>
                   ))}
                 </div>
+                {costBreakdownOpen && (() => {
+                  // The needle in focus (or the candidate being placed) beside the whole layout, in whole dollars
+                  // so each column adds up exactly to its total.
+                  const focus = placingValuation
+                    ? marginalTotals?.candidate
+                    : activePlacement
+                      ? totals.perNeedle.get(activePlacement.id)
+                      : null;
+                  const columns = [
+                    ...(focus ? [{ title: placingValuation ? "This drop" : boxTitle, breakdown: roundBreakdown(focus.breakdown) }] : []),
+                    { title: "All needles", breakdown: roundBreakdown(totals.breakdown) },
+                  ];
+                  return (
+                    <table id="exhibit-cost-breakdown" className="exhibit-cost-breakdown">
+                      <thead>
+                        <tr>
+                          <th scope="col">Cost</th>
+                          {columns.map((c) => (
+                            <th key={c.title} scope="col">
+                              {c.title}
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {COST_ITEMS.map(({ key, label }) => (
+                          <tr key={key}>
+                            <th scope="row">{label}</th>
+                            {columns.map((c) => (
+                              <td key={c.title}>{formatDollars(c.breakdown[key])}</td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                      <tfoot>
+                        <tr>
+                          <th scope="row">Total</th>
+                          {columns.map((c) => (
+                            <td key={c.title}>{formatDollars(sumBreakdown(c.breakdown))}</td>
+                          ))}
+                        </tr>
+                      </tfoot>
+                    </table>
+                  );
+                })()}
               </div>
             );
           })()}
         </div>
+        <div className="exhibit-toolbar">
+          <label className="exhibit-toolbar-select">
+            Tower
+            <select
+              value={towerType}
+              onChange={(e) => setTowerType(e.target.value)}
+              title={(() => {
+                const credit = CREDITS.find((c) => c.name === TOWER_TYPES[towerType].creditName);
+                return credit ? `Model: ${credit.name} by ${credit.creator}` : undefined;
+              })()}
+            >
+              {Object.entries(TOWER_TYPES).map(([key, type]) => (
+                <option key={key} value={key}>
+                  {type.label} ({formatCurrency(towerEconomicsOf(economics, { towerType: key }).buildCost * dollars.today)})
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="exhibit-toolbar-select" title={`Nominal: as priced (${ORIGINAL_YEAR} original, ${PRICE_YEAR} needles). Constant: all in one year's dollars (CPI-U).`}>
+            Dollars
+            <select
+              value={settings.dollarsMode}
+              onChange={(e) => setSettings((prev) => ({ ...prev, dollarsMode: e.target.value }))}
+            >
+              {DOLLAR_MODES.map((mode) => (
+                <option key={mode} value={mode}>
+                  {DOLLAR_MODE_LABELS[mode]}
+                </option>
+              ))}
+            </select>
+            <select
+              aria-label="Base year"
+              value={settings.dollarsBaseYear}
+              disabled={settings.dollarsMode !== "constant"}
+              onChange={(e) => setSettings((prev) => ({ ...prev, dollarsBaseYear: Number(e.target.value) }))}
+            >
+              {CPI_YEARS.map((year) => (
+                <option key={year} value={year}>
+                  {year}
+                </option>
+              ))}
+            </select>
+          </label>
+          <form className="exhibit-toolbar-goto" onSubmit={onGotoSubmit}>
+            <input
+              type="text"
+              value={gotoQuery}
+              onChange={(e) => setGotoQuery(e.target.value)}
+              placeholder="47.62050° N, 122.34930° W or Ballard"
+              aria-label="Coordinates or neighborhood to drop a needle at"
+              list="exhibit-goto-zones"
+            />
+            <datalist id="exhibit-goto-zones">
+              {ZONES.map((z) => (
+                <option key={z.id} value={z.name} />
+              ))}
+            </datalist>
+            <button type="submit" className="exhibit-toolbar-button" disabled={!gotoQuery.trim()}>
+              {movingNeedleId != null ? "Move Here" : "Drop Here"}
+            </button>
+          </form>
+          <button
+            type="button"
+            className="exhibit-toolbar-button"
+            disabled={!undoCommand}
+            title={undoCommand ? `Undo ${undoCommand.label} (Ctrl+Z)` : "Nothing to undo"}
+            onClick={onUndo}
+          >
+            Undo
+          </button>
+          <button
+            type="button"
+            className="exhibit-toolbar-button"
+            disabled={!redoCommand}
+            title={redoCommand ? `Redo ${redoCommand.label} (Ctrl+Shift+Z)` : "Nothing to redo"}
+            onClick={onRedo}
+          >
+            Redo
+          </button>
+          <button
+            type="button"
+            className="exhibit-toolbar-button"
+            disabled={placements.length < 1}
+            onClick={onShareLayout}
+          >
+            Share Layout
+          </button>
+          <button
+            type="button"
+            className="exhibit-toolbar-button"
+            disabled={placements.length < 1}
+            onClick={onExportReport}
+          >
+            Export Report
+          </button>
+          <label className="exhibit-toolbar-check">
+            <input
+              type="checkbox"
+              checked={shareIncludesCamera}
+              onChange={(e) => setShareIncludesCamera(e.target.checked)}
+            />
+            Include view
+          </label>
+          <button
+            type="button"
+            className="exhibit-toolbar-button"
+            aria-pressed={patternOpen}
+            onClick={() => (patternOpen ? setPatternOpen(false) : onOpenPattern())}
+          >
+            Pattern
+          </button>
+          {isOperator && (
+            <button
+              type="button"
+              className="exhibit-toolbar-button"
+              onClick={() => setSettingsOpen(true)}
+              aria-label="Open settings"
+            >
+              Settings
+            </button>
+          )}
+        </div>
         <div className="exhibit-desktop-controls">
           <button
             type="button"
@@ -3678,7 +6473,9 @@ export default function MapScene() {
                 )}
               </div>
               <div className="exhibit-polaroid-caption">
-                <div className="exhibit-polaroid-greeting">Greetings from Space Needle #{polaroid.needleNumber}!</div>
+                <div className="exhibit-polaroid-greeting">{polaroidGreeting(polaroid)}</div>
+                {polaroid.needleNote && <div className="exhibit-polaroid-note">{polaroid.needleNote}</div>}
+                {polaroid.costBreakdown && <div className="exhibit-polaroid-costs">{polaroidCostLine(polaroid)}</div>}
                 <div className="exhibit-polaroid-coords">
                   {formatLatLngDirectional(polaroid.lat, polaroid.lng, " · ")}
                 </div>
@@ -3762,6 +6559,319 @@ export default function MapScene() {
       >
         Credits
       </button>
+      {restorePrompt && (
+        <>
+          <div className="exhibit-restore-backdrop" aria-hidden />
+          <div className="exhibit-restore-modal" role="dialog" aria-labelledby="restore-title" aria-modal="true">
+            <div className="exhibit-restore-modal-inner">
+              <h2 id="restore-title" className="exhibit-restore-modal-title">
+                {sharedLayout?.placements ? "Replace your saved session?" : "Restore previous session?"}
+              </h2>
+              <p className="exhibit-restore-modal-text">
+                {restorePrompt.placements.length === 1
+                  ? "1 needle was saved"
+                  : `${restorePrompt.placements.length} needles were saved`}
+                {restorePrompt.savedAt ? ` on ${new Date(restorePrompt.savedAt).toLocaleString()}` : ""}.
+                {sharedLayout?.placements && " Opening the shared layout replaces them."}
+              </p>
+              <div className="exhibit-restore-modal-actions">
+                <button type="button" className="exhibit-restore-discard" onClick={onDiscardSession}>
+                  {sharedLayout?.placements ? "Open shared layout" : "Start fresh"}
+                </button>
+                <button type="button" className="exhibit-btn-primary" onClick={onRestoreSession}>
+                  {sharedLayout?.placements ? "Keep my session" : "Restore"}
+                </button>
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+      {labelEditor && (
+        <>
+          <div className="exhibit-label-backdrop" aria-hidden onClick={() => setLabelEditor(null)} />
+          <div className="exhibit-label-modal" role="dialog" aria-labelledby="label-title" aria-modal="true">
+            <form className="exhibit-label-modal-inner" onSubmit={onSaveNeedleLabel}>
+              <h2 id="label-title" className="exhibit-label-modal-title">
+                Name Needle #{needleNumberFor(labelEditor.id, placements)}
+              </h2>
+              <label className="exhibit-label-field">
+                Name
+                <input
+                  type="text"
+                  value={labelEditor.name}
+                  maxLength={NEEDLE_NAME_MAX}
+                  placeholder="e.g. Ballard Needle"
+                  autoFocus
+                  onChange={(e) => setLabelEditor((prev) => ({ ...prev, name: e.target.value }))}
+                />
+              </label>
+              <label className="exhibit-label-field">
+                Note
+                <textarea
+                  rows={3}
+                  value={labelEditor.note}
+                  maxLength={NEEDLE_NOTE_MAX}
+                  onChange={(e) => setLabelEditor((prev) => ({ ...prev, note: e.target.value }))}
+                />
+              </label>
+              <div className="exhibit-restore-modal-actions">
+                <button type="button" className="exhibit-restore-discard" onClick={() => setLabelEditor(null)}>
+                  Cancel
+                </button>
+                <button type="submit" className="exhibit-btn-primary">
+                  Save
+                </button>
+              </div>
+            </form>
+          </div>
+        </>
+      )}
+      {settingsOpen && (
+        <>
+          <div className="exhibit-settings-backdrop" aria-hidden onClick={() => setSettingsOpen(false)} />
+          <div className="exhibit-settings-modal" role="dialog" aria-labelledby="settings-title" aria-modal="true">
+            <div className="exhibit-settings-modal-inner">
+              <div className="exhibit-settings-modal-header">
+                <h2 id="settings-title" className="exhibit-settings-modal-title">Settings</h2>
+                <button
+                  type="button"
+                  className="exhibit-settings-modal-close"
+                  onClick={() => setSettingsOpen(false)}
+                  aria-label="Close settings"
+                >
+                  ×
+                </button>
+              </div>
+              <fieldset className="exhibit-settings-group">
+                <legend className="exhibit-settings-legend">Overlapping footprints</legend>
+                {OVERLAP_POLICIES.map((policy) => (
+                  <label key={policy} className="exhibit-settings-option">
+                    <input
+                      type="radio"
+                      name="overlap-policy"
+                      value={policy}
+                      checked={overlapPolicy === policy}
+                      onChange={() => setSettings((prev) => ({ ...prev, overlapPolicy: policy }))}
+                    />
+                    {OVERLAP_POLICY_LABELS[policy]}
+                  </label>
+                ))}
+              </fieldset>
+              <fieldset className="exhibit-settings-group">
+                <legend className="exhibit-settings-legend">Build cost escalation</legend>
+                {ESCALATION_MODELS.map((model) => (
+                  <label key={model} className="exhibit-settings-option">
+                    <input
+                      type="radio"
+                      name="escalation-model"
+                      value={model}
+                      checked={settings.escalationModel === model}
+                      onChange={() => setSettings((prev) => ({ ...prev, escalationModel: model }))}
+                    />
+                    {ESCALATION_MODEL_LABELS[model]}
+                  </label>
+                ))}
+                <label className="exhibit-settings-option exhibit-settings-select">
+                  Rate per needle (%)
+                  <input
+                    type="number"
+                    min={0}
+                    max={ESCALATION_PCT_MAX}
+                    step={1}
+                    value={settings.escalationPct}
+                    onChange={(e) => {
+                      const pct = Number(e.target.value);
+                      if (e.target.value !== "" && pct >= 0 && pct <= ESCALATION_PCT_MAX) {
+                        setSettings((prev) => ({ ...prev, escalationPct: pct }));
+                      }
+                    }}
+                  />
+                </label>
+              </fieldset>
+              <fieldset className="exhibit-settings-group">
+                <legend className="exhibit-settings-legend">Financial model</legend>
+                <label className="exhibit-settings-option exhibit-settings-select">
+                  Discount rate for NPV (%)
+                  <input
+                    type="number"
+                    min={0}
+                    max={DISCOUNT_RATE_PCT_MAX}
+                    step={0.5}
+                    value={settings.discountRatePct}
+                    onChange={(e) => {
+                      const pct = Number(e.target.value);
+                      if (e.target.value !== "" && pct >= 0 && pct <= DISCOUNT_RATE_PCT_MAX) {
+                        setSettings((prev) => ({ ...prev, discountRatePct: pct }));
+                      }
+                    }}
+                  />
+                </label>
+                <p className="exhibit-economics-source">
+                  Cost up front, tourism revenue yearly over {FINANCE_HORIZON_YEARS} years.
+                </p>
+              </fieldset>
+              <fieldset className="exhibit-settings-group">
+                <legend className="exhibit-settings-legend">Placement rules</legend>
+                {PLACEMENT_RULE_IDS.map((rule) => (
+                  <label key={rule} className="exhibit-settings-option">
+                    <input
+                      type="checkbox"
+                      checked={settings.placementRules.includes(rule)}
+                      onChange={(e) =>
+                        setSettings((prev) => ({
+                          ...prev,
+                          placementRules: e.target.checked
+                            ? [...prev.placementRules, rule]
+                            : prev.placementRules.filter((r) => r !== rule),
+                        }))
+                      }
+                    />
+                    {PLACEMENT_RULES[rule].label}
+                  </label>
+                ))}
+                <label className="exhibit-settings-option exhibit-settings-select">
+                  Minimum distance
+                  <select
+                    value={settings.minDistanceFt}
+                    disabled={!settings.placementRules.includes("minDistance")}
+                    onChange={(e) => setSettings((prev) => ({ ...prev, minDistanceFt: Number(e.target.value) }))}
+                  >
+                    {MIN_DISTANCE_OPTIONS_FT.map((ft) => (
+                      <option key={ft} value={ft}>
+                        {ft.toLocaleString()} ft
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </fieldset>
+              <fieldset className="exhibit-settings-group">
+                <legend className="exhibit-settings-legend">Economics</legend>
+                <p className="exhibit-economics-source">
+                  {economicsConfig?.source === "file"
+                    ? "From config/economics.json"
+                    : economicsConfig?.source === "edited"
+                      ? "Edited this session"
+                      : "Built-in defaults"}
+                </p>
+                <button type="button" className="exhibit-restore-discard" onClick={onOpenEconomicsEditor}>
+                  Edit economics…
+                </button>
+              </fieldset>
+            </div>
+          </div>
+        </>
+      )}
+      {economicsDraft && economicsPreview && (
+        <>
+          <div className="exhibit-settings-backdrop" aria-hidden onClick={() => setEconomicsDraft(null)} />
+          <div className="exhibit-settings-modal" role="dialog" aria-labelledby="economics-title" aria-modal="true">
+            <div className="exhibit-settings-modal-inner exhibit-economics-modal-inner">
+              <div className="exhibit-settings-modal-header">
+                <h2 id="economics-title" className="exhibit-settings-modal-title">Economics</h2>
+                <button
+                  type="button"
+                  className="exhibit-settings-modal-close"
+                  onClick={() => setEconomicsDraft(null)}
+                  aria-label="Close economics editor"
+                >
+                  ×
+                </button>
+              </div>
+              {economicsConfig?.problems.length > 0 && (
+                <fieldset className="exhibit-settings-group">
+                  <legend className="exhibit-settings-legend">Config file issues</legend>
+                  <ul className="exhibit-economics-problems">
+                    {economicsConfig.problems.map((problem) => (
+                      <li key={problem}>{problem}</li>
+                    ))}
+                  </ul>
+                </fieldset>
+              )}
+              {[
+                {
+                  legend: "Towers",
+                  fields: Object.entries(TOWER_TYPES).flatMap(([key, type]) => [
+                    { path: ["towers", key, "buildCost"], label: `${type.label} build cost ($)`, step: 1_000_000 },
+                    { path: ["towers", key, "parcelAcres"], label: `${type.label} parcel (acres)`, step: 0.05 },
+                  ]),
+                },
+                { legend: "Land, platforms & tourism", fields: ECONOMICS_EDITOR_FIELDS },
+                {
+                  legend: "Zone rates (before boundaries load)",
+                  fields: ZONES.map((z) => ({ path: ["zoneRates", z.id], label: `${z.name} ($/sqft)`, step: 50 })),
+                },
+              ].map(({ legend, fields }) => (
+                <fieldset key={legend} className="exhibit-settings-group">
+                  <legend className="exhibit-settings-legend">{legend}</legend>
+                  {fields.map(({ path, label, step }) => (
+                    <label key={path.join(".")} className="exhibit-settings-option exhibit-settings-select">
+                      {label}
+                      <input
+                        type="number"
+                        step={step}
+                        value={getPath(economicsDraft, path) ?? ""}
+                        onChange={(e) => {
+                          const value = e.target.value === "" ? "" : Number(e.target.value);
+                          setEconomicsDraft((prev) => setPath(prev, path, value));
+                        }}
+                      />
+                    </label>
+                  ))}
+                </fieldset>
+              ))}
+              <fieldset className="exhibit-settings-group">
+                <legend className="exhibit-settings-legend">Preview: current layout</legend>
+                {[
+                  { label: "Total cost", now: totals.cost, next: economicsPreview.totals.cost, format: formatCurrency },
+                  {
+                    label: "Tourism revenue",
+                    now: totals.revenue,
+                    next: economicsPreview.totals.revenue,
+                    format: formatCurrencyPerYear,
+                  },
+                  { label: "Land displaced", now: totals.acres, next: economicsPreview.totals.acres, format: (n) => `${n.toFixed(2)} acres` },
+                ].map(({ label, now, next, format }) => (
+                  <div key={label} className="exhibit-economics-preview-row">
+                    <span>{label}</span>
+                    <span>
+                      {format(now)} → <strong>{format(next)}</strong>
+                    </span>
+                  </div>
+                ))}
+                {economicsPreview.problems.length > 0 && (
+                  <ul className="exhibit-economics-problems">
+                    {economicsPreview.problems.map((problem) => (
+                      <li key={problem}>{problem}</li>
+                    ))}
+                  </ul>
+                )}
+                {/* Neighborhood and district rate tables are long; they're edited in the JSON file only. */}
+                <p className="exhibit-economics-source">Neighborhood and district rates: edit economics.json.</p>
+                <div className="exhibit-restore-modal-actions exhibit-economics-actions">
+                  <button
+                    type="button"
+                    className="exhibit-restore-discard"
+                    onClick={() => setEconomicsDraft(structuredClone(DEFAULT_ECONOMICS))}
+                  >
+                    Defaults
+                  </button>
+                  <button type="button" className="exhibit-restore-discard" onClick={onDownloadEconomics}>
+                    Download JSON
+                  </button>
+                  <button
+                    type="button"
+                    className="exhibit-btn-primary"
+                    onClick={onApplyEconomics}
+                    disabled={economicsPreview.problems.length > 0}
+                  >
+                    Apply
+                  </button>
+                </div>
+              </fieldset>
+            </div>
+          </div>
+        </>
+      )}
       {creditsOpen && (
         <>
           <div
@@ -0,0 +1,39 @@
+/**
+ * Bounded undo/redo stacks. Commands are opaque to the history; the caller decides how to apply them.
+ * Pushing a new command drops anything that could have been redone.
+ */
+export function createCommandHistory(limit = 100) {
+  const undoStack = [];
+  let redoStack = [];
+  return {
+    push(command) {
+      undoStack.push(command);
+      if (undoStack.length > limit) undoStack.shift();
+      redoStack = [];
+    },
+    /** Pop the last command for undoing; it moves to the redo stack. */
+    undo() {
+      const command = undoStack.pop();
+      if (!command) return null;
+      redoStack.push(command);
+      return command;
+    },
+    /** Pop the last undone command for redoing; it moves back to the undo stack. */
+    redo() {
+      const command = redoStack.pop();
+      if (!command) return null;
+      undoStack.push(command);
+      return command;
+    },
+    peekUndo() {
+      return undoStack[undoStack.length - 1] ?? null;
+    },
+    peekRedo() {
+      return redoStack[redoStack.length - 1] ?? null;
+    },
+    clear() {
+      undoStack.length = 0;
+      redoStack = [];
+    },
+  };
+}
@@ -0,0 +1,20 @@
+/** Leading characters a spreadsheet reads as the start of a formula (or that hide one). */
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * CSV text from rows of cells (RFC 4180: fields quoted when they hold a comma, quote or line break). String cells
+ * that would open as a formula get a leading `'` so spreadsheets show them as text; numbers are left as they are.
+ */
+export function toCsv(rows) {
+  return rows
+    .map((row) =>
+      row
+        .map((cell) => {
+          let text = cell == null ? "" : String(cell);
+          if (typeof cell === "string" && FORMULA_PREFIX.test(text)) text = `'${text}`;
+          return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        })
+        .join(",")
+    )
+    .join("\r\n");
+}
@@ -0,0 +1,21 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toCsv } from "./csv.js";
+
+test("quotes fields holding a comma, quote or line break", () => {
+  assert.equal(toCsv([["a,b", 'say "hi"', "x\ny", "plain"]]), '"a,b","say ""hi""","x\ny",plain');
+});
+
+test("joins rows with CRLF and writes null cells as empty", () => {
+  assert.equal(toCsv([["a", null], [undefined, 1]]), "a,\r\n,1");
+});
+
+test("prefixes string cells that would open as a formula", () => {
+  assert.equal(toCsv([["=SUM(A1:A2)", "+1", "-1", "@cmd", "\tx"]]), "'=SUM(A1:A2),'+1,'-1,'@cmd,'\tx");
+  assert.equal(toCsv([["\r=1"]]), "\"'\r=1\"");
+  assert.equal(toCsv([['=HYPERLINK("x")']]), '"\'=HYPERLINK(""x"")"');
+});
+
+test("leaves numbers and ordinary text alone", () => {
+  assert.equal(toCsv([[-1250000, 0.33, "Needle 1", "a=b"]]), "-1250000,0.33,Needle 1,a=b");
+});
@@ -0,0 +1,223 @@
+/**
+ * Economics configuration: every price knob the exhibit uses, loaded at runtime from a JSON file so an exhibit
+ * can be retuned without a rebuild. Each field is validated on its own and falls back to its default, so one bad
+ * number never takes the rest of the file down with it.
+ */
+
+export const ECONOMICS_CONFIG_URL = "/config/economics.json";
+
+export const DEFAULT_ECONOMICS = {
+  /** Build cost ($) and land parcel (acres) per tower type; keys match TOWER_TYPES. The Space Needle is the SPEC baseline. */
+  towers: {
+    "space-needle": { buildCost: 1_500_000_000, parcelAcres: 1.75 },
+    "low-poly": { buildCost: 600_000_000, parcelAcres: 1.0 },
+  },
+  /** Land acquisition = rate × parcel × this (assembly, legal, relocation). */
+  softCostMult: 1.25,
+  /** $/sqft where no neighborhood polygon or zone applies (suburbs). */
+  defaultRatePerSqFt: 900,
+  /** Meters either side of a neighborhood border over which rates blend. 0 turns blending off. */
+  neighborhoodBlendM: 150,
+  /** Floating platform cost per acre of parcel, before the water body's factor. */
+  platformCostPerAcre: 30_000_000,
+  /** Projected tourism revenue per needle, in $ billions per year. */
+  tourismMinB: 0.6,
+  tourismMaxB: 1.4,
+  tourismFluctuationB: 0.3,
+  tourismOutsideCityMaxB: 0.5,
+  /** Revenue falls off linearly with distance from the original, reaching its floor at this many km. */
+  tourismDistanceDecayKm: 12,
+  /** Needles closer than this (meters) split visitors, the original included. 0 turns catchment sharing off. */
+  tourismCatchmentM: 1500,
+  /** Every new needle past the first trims all of them: revenue × 1 / (1 + penalty × (n − 1)). */
+  tourismCountPenalty: 0.02,
+  /** $/sqft for the fallback circles used before neighborhood boundaries load; keys match ZONES ids. */
+  zoneRates: {
+    downtown: 2800,
+    slu: 2200,
+    belltown: 2500,
+    "queen-anne": 1700,
+    "capitol-hill": 1800,
+    ballard: 1200,
+    fremont: 1100,
+    udistrict: 1000,
+    magnolia: 1100,
+    "west-seattle": 800,
+    "beacon-hill": 700,
+    "rainier-valley": 600,
+    "seattle-center": 2000,
+    "first-hill": 1900,
+  },
+  /**
+   * $/sqft per neighborhood polygon, keyed by the GeoJSON `name` (e.g. "Belltown"). Polygons not listed use their
+   * district's rate (`nhood`, districtRates), then defaultRatePerSqFt. Calibrated to the zone circles
+   * (Lower Queen Anne = Seattle Center).
+   */
+  neighborhoodRates: {
+    "Central Business District": 2800,
+    "Pike-Market": 2600,
+    Belltown: 2500,
+    "South Lake Union": 2200,
+    "Lower Queen Anne": 2000,
+    "First Hill": 1900,
+    Westlake: 1900,
+    "Pioneer Square": 1800,
+    Broadway: 1800,
+    "East Queen Anne": 1700,
+    "West Queen Anne": 1700,
+    "International District": 1500,
+    Eastlake: 1500,
+    Stevens: 1500,
+    Montlake: 1500,
+    "Madison Park": 1600,
+    "North Queen Anne": 1400,
+    "Portage Bay": 1400,
+    "Yesler Terrace": 1300,
+  },
+  districtRates: {
+    Downtown: 2400,
+    Cascade: 1900,
+    "Capitol Hill": 1600,
+    "Queen Anne": 1600,
+    Ballard: 1200,
+    Laurelhurst: 1200,
+    Fremont: 1100,
+    Magnolia: 1100,
+    "Green Lake": 1100,
+    Windermere: 1100,
+    "Phinney Ridge": 1050,
+    "University District": 1000,
+    Wallingford: 1000,
+    Roosevelt: 1000,
+    "Central Area": 1000,
+    Ravenna: 950,
+    Bryant: 950,
+    "View Ridge": 950,
+    Interbay: 900,
+    Greenwood: 900,
+    "North Beach - Blue Ridge": 850,
+    Wedgwood: 850,
+    "West Seattle": 800,
+    "Seward Park": 800,
+    "Crown Hill": 800,
+    "Sand Point": 800,
+    Broadview: 750,
+    Northgate: 750,
+    "Industrial District": 750,
+    "Beacon Hill": 700,
+    "Harbor Island": 700,
+    Georgetown: 650,
+    "Bitter Lake": 650,
+    "Lake City": 650,
+    "Rainier Valley": 600,
+    Delridge: 600,
+    "South Park": 500,
+  },
+};
+
+/** Accepted range for each number field, inclusive. */
+const NUMBER_RANGES = {
+  softCostMult: [1, 5],
+  defaultRatePerSqFt: [1, 20_000],
+  neighborhoodBlendM: [0, 1_000],
+  platformCostPerAcre: [0, 1_000_000_000],
+  tourismMinB: [0, 10],
+  tourismMaxB: [0, 10],
+  tourismFluctuationB: [0, 5],
+  tourismOutsideCityMaxB: [0, 10],
+  tourismDistanceDecayKm: [1, 200],
+  tourismCatchmentM: [0, 10_000],
+  tourismCountPenalty: [0, 1],
+};
+const TOWER_RANGES = {
+  buildCost: [1_000_000, 10_000_000_000],
+  parcelAcres: [0.1, 20],
+};
+/** Any $/sqft in a rate table. */
+const RATE_RANGE = [1, 20_000];
+const RATE_TABLES = ["zoneRates", "neighborhoodRates", "districtRates"];
+
+function inRange(v, [min, max]) {
+  return typeof v === "number" && Number.isFinite(v) && v >= min && v <= max;
+}
+
+function rangeText([min, max]) {
+  return `a number from ${min.toLocaleString()} to ${max.toLocaleString()}`;
+}
+
+function isPlainObject(v) {
+  return v != null && typeof v === "object" && !Array.isArray(v);
+}
+
+/**
+ * Check a raw config against the schema. Returns { economics, problems }: economics is always complete (invalid or
+ * missing fields take their default), problems lists one human-readable line per field that was rejected.
+ * Unknown top-level keys are ignored; zone and tower keys must already exist, neighborhood and district
+ * names may be added.
+ */
+export function validateEconomics(raw) {
+  const problems = [];
+  const economics = structuredClone(DEFAULT_ECONOMICS);
+  if (!isPlainObject(raw)) {
+    problems.push("config is not a JSON object; using built-in defaults");
+    return { economics, problems };
+  }
+
+  for (const [key, range] of Object.entries(NUMBER_RANGES)) {
+    if (!(key in raw)) continue;
+    if (inRange(raw[key], range)) economics[key] = raw[key];
+    else problems.push(`${key}: expected ${rangeText(range)}; using ${DEFAULT_ECONOMICS[key]}`);
+  }
+  if (economics.tourismMinB > economics.tourismMaxB) {
+    problems.push("tourismMinB is above tourismMaxB; using the default range");
+    economics.tourismMinB = DEFAULT_ECONOMICS.tourismMinB;
+    economics.tourismMaxB = DEFAULT_ECONOMICS.tourismMaxB;
+  }
+
+  if ("towers" in raw) {
+    if (!isPlainObject(raw.towers)) problems.push("towers: expected an object keyed by tower type");
+    else {
+      for (const [type, tower] of Object.entries(raw.towers)) {
+        if (!(type in DEFAULT_ECONOMICS.towers)) {
+          problems.push(`towers.${type}: unknown tower type; ignored`);
+          continue;
+        }
+        for (const [field, range] of Object.entries(TOWER_RANGES)) {
+          if (!isPlainObject(tower) || !(field in tower)) continue;
+          if (inRange(tower[field], range)) economics.towers[type][field] = tower[field];
+          else problems.push(`towers.${type}.${field}: expected ${rangeText(range)}`);
+        }
+      }
+    }
+  }
+
+  for (const table of RATE_TABLES) {
+    if (!(table in raw)) continue;
+    if (!isPlainObject(raw[table])) {
+      problems.push(`${table}: expected an object of $/sqft rates`);
+      continue;
+    }
+    for (const [name, rate] of Object.entries(raw[table])) {
+      if (table === "zoneRates" && !(name in DEFAULT_ECONOMICS.zoneRates)) problems.push(`zoneRates.${name}: unknown zone; ignored`);
+      else if (inRange(rate, RATE_RANGE)) economics[table][name] = rate;
+      else problems.push(`${table}.${name}: expected ${rangeText(RATE_RANGE)}`);
+    }
+  }
+  return { economics, problems };
+}
+
+/**
+ * Fetch and validate the config file. Never rejects: a missing or unreadable file yields the defaults with
+ * source "defaults" and the reason in problems.
+ */
+export async function loadEconomicsConfig(url = ECONOMICS_CONFIG_URL) {
+  let raw;
+  try {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    raw = await res.json();
+  } catch (err) {
+    return { economics: structuredClone(DEFAULT_ECONOMICS), problems: [`${url} not loaded (${err.message})`], source: "defaults" };
+  }
+  return { ...validateEconomics(raw), source: "file" };
+}
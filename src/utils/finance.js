@@ -0,0 +1,52 @@
+/**
+ * Investment math for a needle (or a whole layout): the up-front cost (land, build, platform) is paid in year 0,
+ * then tourism revenue arrives as a level amount at the end of each year. Rates are fractions (0.05 = 5%).
+ */
+
+/** Years of revenue counted by NPV and IRR. */
+export const FINANCE_HORIZON_YEARS = 30;
+
+/** Years until revenue repays the cost; Infinity when there is no revenue. */
+export function paybackYears(cost, annualRevenue) {
+  if (cost <= 0) return 0;
+  if (!(annualRevenue > 0)) return Infinity;
+  return cost / annualRevenue;
+}
+
+/** Net present value: discounted revenue over the horizon, less the cost. */
+export function netPresentValue(rate, cost, annualRevenue, years = FINANCE_HORIZON_YEARS) {
+  // Level annuity factor (1 − (1 + r)^−n) / r, which tends to n as r → 0.
+  const annuity = rate === 0 ? years : (1 - (1 + rate) ** -years) / rate;
+  return annualRevenue * annuity - cost;
+}
+
+/**
+ * Internal rate of return: the discount rate at which NPV is zero. Null when it is undefined (no cost or no revenue).
+ * NPV falls steadily as the rate rises, so a bisection is enough.
+ */
+export function internalRateOfReturn(cost, annualRevenue, years = FINANCE_HORIZON_YEARS) {
+  if (cost <= 0 || !(annualRevenue > 0)) return null;
+  let lo = -0.99;
+  let hi = 1;
+  while (netPresentValue(hi, cost, annualRevenue, years) > 0) {
+    hi *= 2;
+    if (hi > 1e6) return null;
+  }
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (netPresentValue(mid, cost, annualRevenue, years) > 0) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/** All three measures for one investment: { cost, annualRevenue, paybackYears, npv, irr }. */
+export function analyzeInvestment(cost, annualRevenue, { discountRate, years = FINANCE_HORIZON_YEARS }) {
+  return {
+    cost,
+    annualRevenue,
+    paybackYears: paybackYears(cost, annualRevenue),
+    npv: netPresentValue(discountRate, cost, annualRevenue, years),
+    irr: internalRateOfReturn(cost, annualRevenue, years),
+  };
+}
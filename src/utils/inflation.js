@@ -0,0 +1,93 @@
+/**
+ * Inflation adjustment with a bundled CPI table, so a 1962 price and a 2020s price can be compared in the same
+ * dollars. Works offline; extend CPI_U when a new annual average is published.
+ */
+
+/** CPI-U, U.S. city average, all items, annual average (1982–84 = 100). Source: BLS series CUUR0000SA0. */
+export const CPI_U = {
+  1962: 30.2,
+  1963: 30.6,
+  1964: 31.0,
+  1965: 31.5,
+  1966: 32.4,
+  1967: 33.4,
+  1968: 34.8,
+  1969: 36.7,
+  1970: 38.8,
+  1971: 40.5,
+  1972: 41.8,
+  1973: 44.4,
+  1974: 49.3,
+  1975: 53.8,
+  1976: 56.9,
+  1977: 60.6,
+  1978: 65.2,
+  1979: 72.6,
+  1980: 82.4,
+  1981: 90.9,
+  1982: 96.5,
+  1983: 99.6,
+  1984: 103.9,
+  1985: 107.6,
+  1986: 109.6,
+  1987: 113.6,
+  1988: 118.3,
+  1989: 124.0,
+  1990: 130.7,
+  1991: 136.2,
+  1992: 140.3,
+  1993: 144.5,
+  1994: 148.2,
+  1995: 152.4,
+  1996: 156.9,
+  1997: 160.5,
+  1998: 163.0,
+  1999: 166.6,
+  2000: 172.2,
+  2001: 177.1,
+  2002: 179.9,
+  2003: 184.0,
+  2004: 188.9,
+  2005: 195.3,
+  2006: 201.6,
+  2007: 207.342,
+  2008: 215.303,
+  2009: 214.537,
+  2010: 218.056,
+  2011: 224.939,
+  2012: 229.594,
+  2013: 232.957,
+  2014: 236.736,
+  2015: 237.017,
+  2016: 240.007,
+  2017: 245.12,
+  2018: 251.107,
+  2019: 255.657,
+  2020: 258.811,
+  2021: 270.97,
+  2022: 292.655,
+  2023: 304.702,
+  2024: 313.689,
+};
+
+export const CPI_FIRST_YEAR = 1962;
+export const CPI_LATEST_YEAR = 2024;
+
+/** Years the table covers, oldest first. */
+export const CPI_YEARS = Object.keys(CPI_U).map(Number);
+
+/** Years outside the table clamp to its ends, so a stale table still gives a sensible (if dated) answer. */
+function cpiFor(year) {
+  const clamped = Math.min(CPI_LATEST_YEAR, Math.max(CPI_FIRST_YEAR, Math.round(year)));
+  return CPI_U[clamped];
+}
+
+/** Multiplier that turns `fromYear` dollars into `toYear` dollars. */
+export function inflationFactor(fromYear, toYear) {
+  return cpiFor(toYear) / cpiFor(fromYear);
+}
+
+/** `amount` in `fromYear` dollars, expressed in `toYear` dollars. */
+export function adjustForInflation(amount, fromYear, toYear) {
+  return amount * inflationFactor(fromYear, toYear);
+}
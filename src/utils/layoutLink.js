@@ -0,0 +1,164 @@
+/**
+ * Shareable layout links: needle positions (and optionally the camera pose) packed into the URL hash.
+ *
+ * Hash format: `layout=<version>.<coords>[&n=<needles>][&cam=<lat>,<lng>,<range>,<tilt>,<heading>]`
+ * Coords are 1e-5° integers in signed base36, lat/lng pairs, each pair delta-encoded from the previous one.
+ * Needles (v3) are one `<towerType>,<height %>,<heading°>,<serial>[,<name>[,<note>]]` record per coordinate pair,
+ * joined by ";"; name and note are percent-encoded. Serials travel with the needles, so the recipient sees the
+ * sender's numbers (#2, #5, …) including any gaps left by removed needles. v2 links carry no serial, placement order
+ * stands in for it; v1 links carry coords only, and open as default full-height Space Needles.
+ */
+
+const LINK_VERSION = "3";
+/** Versions still accepted on decode. */
+const READABLE_VERSIONS = ["1", "2", "3"];
+const COORD_SCALE = 1e5;
+/** Upper bound on needles accepted from a link, so a hostile URL cannot stall the map. */
+export const MAX_SHARED_NEEDLES = 250;
+const TOKEN_RE = /^-?[0-9a-z]{1,8}$/;
+const TOWER_TYPE_RE = /^[a-z0-9-]{1,40}$/;
+const MAX_NAME_LENGTH = 40;
+const MAX_NOTE_LENGTH = 200;
+
+function toBase36(n) {
+  return n.toString(36);
+}
+
+function inBounds(lat, lng, bounds) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return false;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return false;
+  if (!bounds) return true;
+  return lat >= bounds.latMin && lat <= bounds.latMax && lng >= bounds.lngMin && lng <= bounds.lngMax;
+}
+
+/**
+ * Split a hash into its raw (still percent-encoded) params. Not URLSearchParams: needle names are decoded one
+ * field at a time, after the record is split, so a "," or ";" in a name cannot break it.
+ */
+function hashParams(hash) {
+  const params = new Map();
+  for (const part of String(hash ?? "").replace(/^#/, "").split("&")) {
+    const eq = part.indexOf("=");
+    if (eq > 0) params.set(part.slice(0, eq), part.slice(eq + 1));
+  }
+  return params;
+}
+
+function encodeNeedle(p, i) {
+  const fields = [
+    p.towerType ?? "space-needle",
+    Math.round((p.heightScale ?? 1) * 100),
+    Math.round(p.heading ?? 0),
+    p.serial ?? i + 2,
+  ];
+  const name = p.name ? encodeURIComponent(p.name.slice(0, MAX_NAME_LENGTH)) : "";
+  if (p.note) fields.push(name, encodeURIComponent(p.note.slice(0, MAX_NOTE_LENGTH)));
+  else if (name) fields.push(name);
+  return fields.join(",");
+}
+
+/** Percent-decoded, trimmed text field: null when empty, undefined when the encoding is broken. */
+function decodeText(raw, max) {
+  if (!raw) return null;
+  try {
+    return decodeURIComponent(raw).trim().slice(0, max) || null;
+  } catch {
+    return undefined;
+  }
+}
+
+/** One needle record, or null when it cannot be trusted. v2 records have no serial field. */
+function decodeNeedle(raw, version) {
+  const fields = raw.split(",");
+  const [towerType, heightPct, heading] = fields;
+  const serialRaw = version === "2" ? null : fields[3];
+  const [name, note, ...rest] = fields.slice(version === "2" ? 3 : 4);
+  if (rest.length > 0 || (version === "2" && note !== undefined) || !TOWER_TYPE_RE.test(towerType)) return null;
+  const heightScale = Number(heightPct) / 100;
+  const deg = Number(heading);
+  if (!Number.isInteger(Number(heightPct)) || !(heightScale > 0 && heightScale <= 3)) return null;
+  if (!Number.isInteger(deg)) return null;
+  const serial = serialRaw == null ? null : Number(serialRaw);
+  if (serial != null && !(/^[0-9]{1,6}$/.test(serialRaw) && serial >= 2)) return null;
+  const decodedName = decodeText(name, MAX_NAME_LENGTH);
+  const decodedNote = decodeText(note, MAX_NOTE_LENGTH);
+  if (decodedName === undefined || decodedNote === undefined) return null;
+  return { towerType, heightScale, heading: ((deg % 360) + 360) % 360, serial, name: decodedName, note: decodedNote };
+}
+
+/**
+ * Build the hash (without leading "#") for a list of placements
+ * ({ lat, lng, towerType, heightScale, heading, serial, name, note })
+ * and an optional camera pose.
+ */
+export function encodeLayoutHash(placements, camera = null) {
+  const tokens = [];
+  let prevLat = 0;
+  let prevLng = 0;
+  for (const p of placements) {
+    const lat = Math.round(p.lat * COORD_SCALE);
+    const lng = Math.round(p.lng * COORD_SCALE);
+    tokens.push(toBase36(lat - prevLat), toBase36(lng - prevLng));
+    prevLat = lat;
+    prevLng = lng;
+  }
+  // Built by hand rather than with URLSearchParams so "," stays readable; every character used is hash-safe.
+  let hash = `layout=${LINK_VERSION}.${tokens.join(".")}&n=${placements.map(encodeNeedle).join(";")}`;
+  if (camera && Number.isFinite(camera.lat) && Number.isFinite(camera.lng)) {
+    const pose = [
+      camera.lat.toFixed(5),
+      camera.lng.toFixed(5),
+      Math.round(camera.range ?? 0),
+      Math.round(camera.tilt ?? 0),
+      Math.round(camera.heading ?? 0),
+    ];
+    hash += `&cam=${pose.join(",")}`;
+  }
+  return hash;
+}
+
+function decodeCamera(raw, bounds) {
+  const parts = raw.split(",").map(Number);
+  if (parts.length !== 5 || parts.some((n) => !Number.isFinite(n))) return null;
+  const [lat, lng, range, tilt, heading] = parts;
+  if (!inBounds(lat, lng, bounds)) return null;
+  if (range <= 0 || range > 100000 || tilt < 0 || tilt > 90) return null;
+  return { lat, lng, range, tilt, heading: ((heading % 360) + 360) % 360 };
+}
+
+/**
+ * Parse a location hash. Returns null when the hash carries no layout, { error } when it does but
+ * cannot be trusted, else { placements: [{ lat, lng, towerType?, heightScale?, heading?, serial?, name?, note? }],
+ * camera | null }. v1 placements have lat/lng only; v2 placements have no serial or note. Serials must be unique. A bad camera pose is dropped rather than failing the whole link.
+ */
+export function decodeLayoutHash(hash, { bounds } = {}) {
+  const params = hashParams(hash);
+  const raw = params.get("layout");
+  if (raw == null) return null;
+
+  const [version, ...tokens] = raw.split(".");
+  if (!READABLE_VERSIONS.includes(version)) return { error: "this link was made by a newer version of the exhibit" };
+  const coords = tokens.filter((t) => t !== "");
+  if (coords.length === 0) return { error: "the link has no needles in it" };
+  if (coords.length % 2 !== 0 || !coords.every((t) => TOKEN_RE.test(t))) return { error: "the link is malformed" };
+  if (coords.length / 2 > MAX_SHARED_NEEDLES) return { error: `links are limited to ${MAX_SHARED_NEEDLES} needles` };
+
+  const placements = [];
+  let lat = 0;
+  let lng = 0;
+  for (let i = 0; i < coords.length; i += 2) {
+    lat += parseInt(coords[i], 36);
+    lng += parseInt(coords[i + 1], 36);
+    const p = { lat: lat / COORD_SCALE, lng: lng / COORD_SCALE };
+    if (!inBounds(p.lat, p.lng, bounds)) return { error: `needle #${i / 2 + 2} is outside the map area` };
+    placements.push(p);
+  }
+  if (version !== "1") {
+    const needles = (params.get("n") ?? "").split(";").map((r) => decodeNeedle(r, version));
+    if (needles.length !== placements.length || needles.some((n) => n == null)) return { error: "the link is malformed" };
+    needles.forEach((n, i) => Object.assign(placements[i], n, { serial: n.serial ?? i + 2 }));
+    if (new Set(placements.map((p) => p.serial)).size !== placements.length) return { error: "the link is malformed" };
+  }
+  const camRaw = params.get("cam");
+  return { placements, camera: camRaw ? decodeCamera(camRaw, bounds) : null };
+}
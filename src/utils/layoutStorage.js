@@ -0,0 +1,138 @@
+/**
+ * Needle layout autosave (localStorage). Payload carries a schema version so older saves
+ * can be migrated forward on load instead of being dropped.
+ */
+
+const LAYOUT_KEY = "tsn_needle_layout";
+export const LAYOUT_SCHEMA_VERSION = 5;
+
+/** Upgrade steps keyed by the version they read. Each returns a payload one version newer. */
+const MIGRATIONS = {
+  // v2: per-needle heading and height variant; v1 needles were all unrotated at full height.
+  1: (data) => ({
+    ...data,
+    version: 2,
+    placements: Array.isArray(data.placements)
+      ? data.placements.map((p) => ({ ...p, heading: 0, heightScale: 1 }))
+      : data.placements,
+  }),
+  // v3: tower type per needle; everything before was the standard Space Needle.
+  2: (data) => ({
+    ...data,
+    version: 3,
+    placements: Array.isArray(data.placements)
+      ? data.placements.map((p) => ({ ...p, towerType: "space-needle" }))
+      : data.placements,
+  }),
+  // v4: stable serial numbers plus optional name/note. Serials freeze the numbers the visitor last saw (#2, #3, …).
+  3: (data) => ({
+    ...data,
+    version: 4,
+    placements: Array.isArray(data.placements)
+      ? data.placements.map((p, i) => ({ ...p, serial: i + 2, name: null, note: null }))
+      : data.placements,
+  }),
+  // v5: floating platforms. Water can't be decided here, so older needles keep no water fields and are re-checked on restore.
+  4: (data) => ({ ...data, version: 5 }),
+};
+
+function cleanText(v, max) {
+  if (typeof v !== "string") return null;
+  const text = v.trim().slice(0, max);
+  return text || null;
+}
+
+function isFiniteNumber(v) {
+  return typeof v === "number" && Number.isFinite(v);
+}
+
+/** Keep only the fields we persist; reject records without a usable id and position. */
+function sanitizePlacement(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const { id, lat, lng } = raw;
+  if (!Number.isInteger(id) || id < 1) return null;
+  if (!isFiniteNumber(lat) || !isFiniteNumber(lng)) return null;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return {
+    id,
+    serial: Number.isInteger(raw.serial) && raw.serial >= 2 ? raw.serial : null,
+    name: cleanText(raw.name, 40),
+    note: cleanText(raw.note, 200),
+    lat,
+    lng,
+    altitude: isFiniteNumber(raw.altitude) ? raw.altitude : 0,
+    towerType: typeof raw.towerType === "string" && /^[a-z0-9-]{1,40}$/.test(raw.towerType) ? raw.towerType : "space-needle",
+    heading: isFiniteNumber(raw.heading) ? ((raw.heading % 360) + 360) % 360 : 0,
+    heightScale: isFiniteNumber(raw.heightScale) && raw.heightScale > 0 && raw.heightScale <= 3 ? raw.heightScale : 1,
+    neighborhoodLabel: typeof raw.neighborhoodLabel === "string" ? raw.neighborhoodLabel : null,
+    landValue: isFiniteNumber(raw.landValue) ? raw.landValue : null,
+    ratePerSqFt: isFiniteNumber(raw.ratePerSqFt) ? raw.ratePerSqFt : null,
+    isWaterPlatform: typeof raw.isWaterPlatform === "boolean" ? raw.isWaterPlatform : null,
+    waterBody: typeof raw.waterBody === "string" && /^[a-z_]{1,40}$/.test(raw.waterBody) ? raw.waterBody : null,
+    waterProvisional: raw.waterProvisional === true,
+    platformCost: isFiniteNumber(raw.platformCost) && raw.platformCost >= 0 ? raw.platformCost : null,
+    tourismRevenue: isFiniteNumber(raw.tourismRevenue) ? raw.tourismRevenue : null,
+  };
+}
+
+/**
+ * Read the saved layout. Returns { placements, nextPlacementId, savedAt } or null when there is
+ * nothing usable (no save, corrupt JSON, unknown future version).
+ */
+export function loadSavedLayout() {
+  let data;
+  try {
+    const raw = localStorage.getItem(LAYOUT_KEY);
+    if (!raw) return null;
+    data = JSON.parse(raw);
+  } catch {
+    return null;
+  }
+  while (data && Number.isInteger(data.version) && data.version < LAYOUT_SCHEMA_VERSION && MIGRATIONS[data.version]) {
+    data = MIGRATIONS[data.version](data);
+  }
+  if (!data || data.version !== LAYOUT_SCHEMA_VERSION || !Array.isArray(data.placements)) return null;
+
+  const seen = new Set();
+  const placements = [];
+  for (const raw of data.placements) {
+    const p = sanitizePlacement(raw);
+    if (!p || seen.has(p.id)) continue;
+    seen.add(p.id);
+    placements.push(p);
+  }
+  // New needles take serial = id + 1, so the next id must also clear every stored serial.
+  const maxId = placements.reduce((m, p) => Math.max(m, p.id, (p.serial ?? 0) - 1), 0);
+  const nextPlacementId =
+    Number.isInteger(data.nextPlacementId) && data.nextPlacementId > maxId ? data.nextPlacementId : maxId + 1;
+  return {
+    placements,
+    nextPlacementId,
+    savedAt: isFiniteNumber(data.savedAt) ? data.savedAt : null,
+  };
+}
+
+/** Best-effort write; storage may be full or disabled (private mode). */
+export function saveLayout({ placements, nextPlacementId }) {
+  try {
+    localStorage.setItem(
+      LAYOUT_KEY,
+      JSON.stringify({
+        version: LAYOUT_SCHEMA_VERSION,
+        savedAt: Date.now(),
+        nextPlacementId,
+        placements: placements.map(sanitizePlacement).filter(Boolean),
+      })
+    );
+  } catch {
+    /* autosave is best-effort */
+  }
+}
+
+export function clearSavedLayout() {
+  try {
+    localStorage.removeItem(LAYOUT_KEY);
+  } catch {
+    /* nothing to clear */
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Exhibit settings (localStorage). Stored as one JSON object; each field is validated on load
+ * and falls back to its default, so a bad or older value never breaks the rest.
+ */
+
+import { CPI_LATEST_YEAR, CPI_U } from "./inflation";
+
+const SETTINGS_KEY = "tsn_settings_v1";
+
+/** How overlapping needle footprints are handled: refuse the drop, allow with a warning, or split the shared land cost. */
+export const OVERLAP_POLICIES = ["block", "warn", "share"];
+
+/** Placement rules an operator can switch on; a candidate spot must pass every active one. */
+export const PLACEMENT_RULE_IDS = ["noWater", "noLandmarks", "cityLimits", "minDistance"];
+
+/** Choices for the "minimum distance from the original" rule, in feet. */
+export const MIN_DISTANCE_OPTIONS_FT = [800, 1600, 3200, 5280];
+
+/** Build-cost escalation per additional needle: compounding (SPEC), linear, or an economies-of-scale discount. */
+export const ESCALATION_MODELS = ["compound", "linear", "scale"];
+export const ESCALATION_PCT_MAX = 50;
+
+/** Discount rate for NPV (percent per year). */
+export const DISCOUNT_RATE_PCT_MAX = 20;
+
+/** Money in the panel: as priced (1962 original, today's needles) or all in one base year's dollars. */
+export const DOLLAR_MODES = ["nominal", "constant"];
+
+export const DEFAULT_SETTINGS = {
+  overlapPolicy: "share",
+  placementRules: [],
+  minDistanceFt: 800,
+  escalationModel: "compound",
+  escalationPct: 10,
+  discountRatePct: 5,
+  dollarsMode: "nominal",
+  dollarsBaseYear: CPI_LATEST_YEAR,
+};
+
+const VALIDATORS = {
+  overlapPolicy: (v) => OVERLAP_POLICIES.includes(v),
+  placementRules: (v) => Array.isArray(v) && v.every((id) => PLACEMENT_RULE_IDS.includes(id)),
+  minDistanceFt: (v) => MIN_DISTANCE_OPTIONS_FT.includes(v),
+  escalationModel: (v) => ESCALATION_MODELS.includes(v),
+  escalationPct: (v) => typeof v === "number" && v >= 0 && v <= ESCALATION_PCT_MAX,
+  discountRatePct: (v) => typeof v === "number" && v >= 0 && v <= DISCOUNT_RATE_PCT_MAX,
+  dollarsMode: (v) => DOLLAR_MODES.includes(v),
+  dollarsBaseYear: (v) => Number.isInteger(v) && v in CPI_U,
+};
+
+export function loadSettings() {
+  let stored = null;
+  try {
+    const raw = localStorage.getItem(SETTINGS_KEY);
+    stored = raw ? JSON.parse(raw) : null;
+  } catch {
+    stored = null;
+  }
+  const settings = { ...DEFAULT_SETTINGS };
+  if (stored && typeof stored === "object") {
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+      if (key in stored && VALIDATORS[key](stored[key])) settings[key] = stored[key];
+    }
+  }
+  return settings;
+}
+
+export function saveSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch {
+    /* settings are best-effort */
+  }
+}